@@ -5,18 +5,329 @@ const path = require('path');
 const fs = require('fs').promises;
 const { google } = require('googleapis');
 const disk = require('diskusage');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const QRCode = require('qrcode');
+const nodemailer = require('nodemailer');
+
+// `node server.js hash-password <password>` prints a hash for the ADMIN_USERS setting
+if (process.argv[2] === 'hash-password') {
+  if (!process.argv[3]) {
+    console.error('Usage: node server.js hash-password <password>');
+    process.exit(1);
+  }
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(process.argv[3], salt, 64);
+  console.log(`scrypt:${salt.toString('hex')}:${hash.toString('hex')}`);
+  process.exit(0);
+}
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 const LOCAL_EXCEL_FILE = path.join(__dirname, 'customers.xlsx');
 const GOOGLE_DRIVE_FOLDER_ID = '1l4e6cq0LaFS2IFkJlWKLFJ_CVIEqPqTK';
 
+// Columns of the Customers worksheet, in order. The first four are the original signup fields.
+// Columns are matched by header, and columns with other headers are kept as extra customer fields.
+const CUSTOMER_COLUMNS = [
+  { header: 'Name', key: 'name', width: 20 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone', key: 'phone', width: 15 },
+  { header: 'Date of Birth', key: 'dob', width: 15 },
+  { header: 'Prize', key: 'prize', width: 15 },
+  { header: 'Spun At', key: 'spunAt', width: 25 },
+  { header: 'Voucher Code', key: 'voucherCode', width: 20 },
+  { header: 'Redeemed At', key: 'redeemedAt', width: 25 },
+  { header: 'Signed Up At', key: 'createdAt', width: 25 },
+  { header: 'Customer ID', key: 'id', width: 38 },
+  { header: 'Updated At', key: 'updatedAt', width: 25 },
+  { header: 'Marketing Consent', key: 'marketingConsent', width: 18 },
+  { header: 'Consent Wording', key: 'consentVersion', width: 18 },
+  { header: 'Consent At', key: 'consentAt', width: 25 },
+  { header: 'Consent IP', key: 'consentIp', width: 20 },
+  { header: 'Unsubscribed At', key: 'unsubscribedAt', width: 25 },
+  { header: 'Birthday Offer Year', key: 'birthdayOfferYear', width: 12 },
+  { header: 'Birthday Voucher Code', key: 'birthdayVoucherCode', width: 20 },
+  { header: 'Birthday Offer Sent At', key: 'birthdayOfferSentAt', width: 25 },
+  { header: 'Birthday Redeemed At', key: 'birthdayRedeemedAt', width: 25 },
+  { header: 'Campaign', key: 'campaign', width: 20 },
+  { header: 'Location', key: 'location', width: 20 },
+  { header: 'Email Lookup', key: 'emailLookup', width: 66 },
+  { header: 'Phone Lookup', key: 'phoneLookup', width: 66 },
+];
+const COLUMN_KEYS_BY_HEADER = new Map(CUSTOMER_COLUMNS.map(column => [column.header.toLowerCase(), column.key]));
+
+// Version of the workbook layout, kept in a hidden Schema worksheet. Older workbooks are
+// upgraded by WORKBOOK_MIGRATIONS when they are loaded or downloaded from Google Drive.
+const WORKBOOK_SCHEMA_VERSION = 10;
+
+// Prizes on the wheel until an owner saves a prize configuration. name is the prize stored with the
+// customer, label is the text on the wheel segment, weight is the relative chance of being drawn,
+// and dailyLimit/totalLimit (null for no limit) cap how many can be won.
+const DEFAULT_PRIZES = [
+  { name: 'Free Dip', label: 'Free Dip', color: '#FFD60A', weight: 1, dailyLimit: null, totalLimit: null },
+  { name: 'Free Can', label: 'Free Can', color: '#FF70A6', weight: 1, dailyLimit: null, totalLimit: null },
+  { name: 'Free Cookie', label: 'Free Cookie', color: '#00F5D4', weight: 1, dailyLimit: null, totalLimit: null },
+  { name: 'Free Chipbag', label: 'Free Chipbag', color: '#FF9F1C', weight: 1, dailyLimit: null, totalLimit: null },
+];
+
+// Social and review links on thankyou.html for customers without a location, and for any link a
+// location does not set
+const DEFAULT_LOCATION_LINKS = {
+  instagram: 'https://www.instagram.com/241pizzawinston/',
+  review: 'https://g.page/r/GOOGLE_REVIEW_ID/review',
+  website: 'https://241pizza.com',
+};
+
+// Marketing consent wording shown next to the opt-in checkbox on index.html. Change the version
+// whenever the text changes, so each customer's record says which wording they agreed to.
+const MARKETING_CONSENT = {
+  version: '2026-10-19',
+  text: 'Yes, email me offers and news from 24/1 Pizza. I can unsubscribe at any time.',
+};
+// Consent version recorded for customers added by /admin/import. The wording they agreed to is not
+// known, so their consent log events name the import and the owner who ran it instead.
+const IMPORTED_CONSENT_VERSION = 'import';
+// Public address of the site, used in links sent by email
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Birthday offers: what the voucher is for, how many days before the birthday it is sent,
+// and how often the scheduler checks whether the day's run is due
+const BIRTHDAY_OFFER = process.env.BIRTHDAY_OFFER || 'Free Birthday Cookie';
+const BIRTHDAY_LOOKAHEAD_DAYS = Number(process.env.BIRTHDAY_LOOKAHEAD_DAYS) || 7;
+const BIRTHDAY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Export formats of GET /download and their content types
+const EXPORT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+// Columns that exports add to the stored customer fields
+const EXPORT_EXTRA_COLUMNS = [
+  { header: 'Unsubscribe Link', key: 'unsubscribeLink', width: 60 },
+];
+
+// Age limits for signups, from the date of birth: the youngest customer allowed (0 for no limit)
+// and the oldest age taken as a real date of birth. With DOB_YEAR_OPTIONAL=true visitors can give
+// just their birth month and day, stored as --MM-DD, and confirm they are old enough instead.
+const MIN_SIGNUP_AGE = Number(process.env.MIN_SIGNUP_AGE || 13);
+const MAX_SIGNUP_AGE = Number(process.env.MAX_SIGNUP_AGE) || 110;
+const DOB_YEAR_OPTIONAL = process.env.DOB_YEAR_OPTIONAL === 'true';
+
+// Fields of the signup form, served by /form-schema so index.html renders and checks the same
+// rules /submit applies. type is text, email, tel, date (a date of birth as YYYY-MM-DD) or select.
+// messages holds the error shown for a missing (required), malformed (invalid) or too long (tooLong)
+// value, and for date fields a date in the future (future), one younger than minAge (tooYoung) or
+// older than maxAge (tooOld), and a missing age confirmation for a date without a year (ageConfirm),
+// which allowNoYear permits. Owners can add optional text and select
+// fields after these through /admin/form-fields.
+const SIGNUP_FIELDS = [
+  {
+    key: 'name', label: 'Your Name', type: 'text', required: true, maxLength: 100,
+    messages: { required: 'Please enter your name', tooLong: 'Name must be 100 characters or fewer' },
+  },
+  {
+    key: 'email', label: 'Email', type: 'email', required: true, maxLength: 254,
+    messages: { required: 'Please enter an email address', invalid: 'Please enter a valid email address' },
+  },
+  {
+    key: 'phone', label: 'Phone', type: 'tel', required: true, maxLength: 30, placeholder: 'Phone (e.g., 416-555-0101)',
+    messages: {
+      required: 'Please enter a phone number',
+      invalid: 'Please enter a valid phone number, including the country code if it is outside North America',
+    },
+  },
+  {
+    key: 'dob', label: 'Date of Birth', type: 'date', required: true, maxLength: 10, placeholder: 'YYYY-MM-DD (e.g., 1990-05-15)',
+    minAge: MIN_SIGNUP_AGE, maxAge: MAX_SIGNUP_AGE, allowNoYear: DOB_YEAR_OPTIONAL,
+    messages: {
+      required: 'Please enter your date of birth',
+      invalid: 'Please enter a valid date in YYYY-MM-DD format',
+      future: 'Date of birth cannot be in the future',
+      tooYoung: `Sorry, you must be at least ${MIN_SIGNUP_AGE} years old to enter`,
+      tooOld: 'Please check the year of your date of birth',
+      ageConfirm: `Please confirm you are at least ${MIN_SIGNUP_AGE} years old`,
+    },
+  },
+].map(completeFormField);
+// Field types owners can use for custom form fields
+const CUSTOM_FIELD_TYPES = ['text', 'select'];
+// Request body fields /submit reads besides the form fields, which custom fields cannot use as keys
+const RESERVED_FORM_KEYS = ['marketingConsent', 'consentVersion', 'location', 'formToken', 'deviceId', 'website', 'keepEmail', 'ageConfirmed'];
+
+// Bulk import: largest file accepted, and the customer fields read from it
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'dob', 'createdAt', 'marketingConsent', 'campaign', 'location'];
+
+// Customer list API: fields it can sort by, and page sizes
+const CUSTOMER_SORT_FIELDS = ['name', 'email', 'phone', 'dob', 'prize', 'spunAt', 'redeemedAt', 'createdAt', 'updatedAt', 'campaign', 'location'];
+const CUSTOMER_PAGE_SIZE = 25;
+const CUSTOMER_MAX_PAGE_SIZE = 100;
+
+// Email verification codes: lifetime, wrong guesses allowed, and resend throttling
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const OTP_MAX_SENDS = 5;
+
+// Directory for server-side state files (mail outbox and similar)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Google Drive sync bookkeeping: what the Drive copy looked like at the last sync, where the
+// Drive copy is downloaded to before it replaces or is merged into the local file, and rows
+// that changed on both sides
+const DRIVE_SYNC_STATE_FILE = path.join(DATA_DIR, 'drive-sync.json');
+const DRIVE_DOWNLOAD_FILE = path.join(DATA_DIR, 'drive-download.xlsx');
+const SYNC_CONFLICTS_FILE = path.join(DATA_DIR, 'sync-conflicts.jsonl');
+// Append-only record of every marketing consent decision and unsubscribe
+const CONSENT_LOG_FILE = path.join(DATA_DIR, 'consent-log.jsonl');
+// Prize configuration saved through /admin/prizes
+const PRIZE_CONFIG_FILE = process.env.PRIZE_CONFIG_FILE || path.join(DATA_DIR, 'prizes.json');
+// Promotion campaigns saved through /admin/campaigns
+const CAMPAIGN_CONFIG_FILE = process.env.CAMPAIGN_CONFIG_FILE || path.join(DATA_DIR, 'campaigns.json');
+// Store locations saved through /admin/locations
+const LOCATION_CONFIG_FILE = process.env.LOCATION_CONFIG_FILE || path.join(DATA_DIR, 'locations.json');
+// Disposable email domain blocklist saved through /admin/blocked-domains
+const BLOCKED_DOMAINS_FILE = process.env.BLOCKED_DOMAINS_FILE || path.join(DATA_DIR, 'blocked-domains.json');
+// Custom signup form fields saved through /admin/form-fields
+const FORM_FIELDS_FILE = process.env.FORM_FIELDS_FILE || path.join(DATA_DIR, 'form-fields.json');
+// Popular email domain list saved through /admin/email-domains
+const EMAIL_DOMAINS_FILE = process.env.EMAIL_DOMAINS_FILE || path.join(DATA_DIR, 'email-domains.json');
+// Append-only record of signups rejected by the abuse checks
+const REJECTED_SIGNUPS_FILE = path.join(DATA_DIR, 'rejected-signups.jsonl');
+
+// Snapshots of customers.xlsx and how long they are kept: every snapshot for an hour,
+// then the newest one per hour for a day, then the newest one per day for a month
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_KEEP_ALL_MS = 60 * 60 * 1000;
+const SNAPSHOT_KEEP_HOURLY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_KEEP_DAILY_MS = 30 * 24 * 60 * 60 * 1000;
+const SNAPSHOT_NAME_PATTERN = /^customers_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)_([a-z-]+)_(\d+)$/;
+
+// Changes are written to customers.xlsx in batches once writes settle for PERSIST_DEBOUNCE_MS,
+// and uploaded to Google Drive at most once every UPLOAD_DEBOUNCE_MS
+const PERSIST_DEBOUNCE_MS = Number(process.env.PERSIST_DEBOUNCE_MS) || 1000;
+const UPLOAD_DEBOUNCE_MS = Number(process.env.UPLOAD_DEBOUNCE_MS) || 15 * 1000;
+
+// Admin sessions: lifetime and login throttling
+const SESSION_COOKIE = 'admin_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Abuse protection on /submit: accepted signups allowed per client IP and per device in each window,
+// the shortest time a person takes to fill in the form, and how long a form stays valid. Visitors on
+// a store's Wi-Fi share one IP, so its limit is well above a busy store's signups; the device limit
+// is the tight one.
+const SUBMIT_RATE_WINDOW_MS = 10 * 60 * 1000;
+const SUBMIT_MAX_PER_IP = Number(process.env.SUBMIT_MAX_PER_IP) || 100;
+const SUBMIT_MAX_PER_DEVICE = Number(process.env.SUBMIT_MAX_PER_DEVICE) || 5;
+const SUBMIT_MIN_FILL_MS = Number(process.env.SUBMIT_MIN_FILL_MS) || 3000;
+const SUBMIT_FORM_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Country calling code for phone numbers entered without one
+const DEFAULT_PHONE_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '1').replace(/\D/g, '');
+
+// Email domains most of our customers use. An address at a domain a typo or two away from one of
+// these gets a "did you mean" suggestion. Owners can replace the list through /admin/email-domains.
+const DEFAULT_POPULAR_EMAIL_DOMAINS = [
+  'aol.com', 'bell.net', 'cogeco.ca', 'gmail.com', 'hotmail.ca', 'hotmail.com', 'icloud.com', 'live.ca',
+  'live.com', 'mail.com', 'me.com', 'msn.com', 'outlook.com', 'protonmail.com', 'rogers.com', 'shaw.ca',
+  'sympatico.ca', 'telus.net', 'videotron.ca', 'yahoo.ca', 'yahoo.com', 'ymail.com',
+];
+
+// Disposable email domains rejected by /submit until an owner saves a blocklist
+const DEFAULT_BLOCKED_EMAIL_DOMAINS = [
+  '10minutemail.com', 'dispostable.com', 'fakeinbox.com', 'getnada.com', 'guerrillamail.com',
+  'maildrop.cc', 'mailinator.com', 'mintemail.com', 'sharklasers.com', 'temp-mail.org',
+  'throwawaymail.com', 'trashmail.com', 'yopmail.com',
+];
+
+// Admin roles, lowest first. A role can do everything the roles before it can.
+const ROLES = ['staff', 'owner'];
+
+// Files in the web root that must never be served as static content
+const PRIVATE_FILE_PATTERN = /^\/(data|node_modules)(\/|$)|^\/server\.js$|\.(xlsx|json|jsonl|md)$/i;
+
+// Characters used in voucher codes (no 0/O or 1/I so codes can be read out loud)
+const VOUCHER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Secret used to sign tokens handed to the browser (spin tokens) and voucher codes
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.TOKEN_SECRET) {
+  console.warn('TOKEN_SECRET is not set, using a random secret. Spin links and voucher codes will stop working after a restart.');
+}
+
+// Key for encrypting customers' email, phone and date of birth at rest, from CUSTOMER_DATA_KEY (32 bytes
+// as 64 hex characters or base64). customers.xlsx, its Google Drive copy and snapshots, the JSON store's
+// log, the sync state and the consent, rejected signup and sync conflict logs hold only the encrypted
+// values, with keyed hashes of the email and phone to find customers by. Customers stay encrypted in
+// memory and are decrypted only for the admin views and exports and for the emails sent to them. Data
+// saved before the key was set is encrypted on start. The server's own log output and the mail outbox
+// (MAIL_TRANSPORT=file) still hold emails in plain.
+const CUSTOMER_DATA_KEY = readCustomerDataKey(process.env.CUSTOMER_DATA_KEY);
+// Customer fields encrypted at rest, the prefix marking an encrypted value, and the lookup hash fields
+const ENCRYPTED_CUSTOMER_FIELDS = ['email', 'phone', 'dob'];
+const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+const LOOKUP_FIELDS = ['emailLookup', 'phoneLookup'];
+
 // Use a promise-based lock to prevent concurrent file access
 let fileLockPromise = Promise.resolve();
 // Flag to indicate if a local change has been made but not yet synced to Google Drive
 let localChangesPending = false;
 // In-memory cache for the workbook
 let cachedWorkbook = null;
+// Health of the Google Drive sync, reported to operators through /admin/status
+const syncHealth = { degraded: false, reason: null, since: null };
+// Row count an intentional delete brought the file down to. Uploads with fewer rows than
+// Google Drive had at the last sync are refused unless they were confirmed this way.
+let confirmedRowFloor = null;
+// Write of customers.xlsx waiting for the persist timer: { label, build } where build() returns the workbook
+let pendingSave = null;
+let persistTimer = null;
+let uploadTimer = null;
+// MD5 of the local file when the last snapshot was taken, to skip identical snapshots
+let lastSnapshotMd5 = null;
+// MD5 and customer count of the local file as saveWorkbook last wrote it, so a snapshot of it does
+// not have to read the workbook again to count its rows
+let savedFileRows = { md5: null, count: 0 };
+// Signups waiting for their email code, keyed by normalized email
+const pendingVerifications = new Map();
+// Prizes on the wheel, in the order wheel.html draws its segments
+let prizeConfig = DEFAULT_PRIZES;
+// Promotion campaigns in start order. With none configured there is a single promotion that is always open.
+let campaignConfig = [];
+// Store locations customers can sign up at, each with its own links and optionally its own prizes
+let locationConfig = [];
+// Email domains /submit rejects as disposable, lowercased
+let blockedEmailDomains = DEFAULT_BLOCKED_EMAIL_DOMAINS;
+// Email domains checked for typos by suggestEmail, lowercased
+let popularEmailDomains = DEFAULT_POPULAR_EMAIL_DOMAINS;
+// Custom fields shown on the signup form after SIGNUP_FIELDS, each stored in the worksheet column named by its header
+let customFormFields = [];
+
+// Admin accounts from ADMIN_USERS, a JSON array of { username, role, passwordHash }
+const adminUsers = JSON.parse(process.env.ADMIN_USERS || '[]');
+adminUsers.forEach(user => {
+  if (!ROLES.includes(user.role)) {
+    throw new Error(`Admin user ${user.username} has unknown role '${user.role}', expected one of ${ROLES.join(', ')}`);
+  }
+});
+if (adminUsers.length === 0) {
+  console.warn('ADMIN_USERS is not set, nobody can sign in to the admin routes.');
+}
+// Failed logins per client IP, for throttling
+const loginFailures = new Map();
+// Sessions ended by signing out, keyed by session ID, with the time their token would have expired
+const revokedSessions = new Map();
+// Accepted signups per client IP and per device, for rate limiting /submit
+const submitsByIp = createRateLimiter(SUBMIT_MAX_PER_IP, SUBMIT_RATE_WINDOW_MS);
+const submitsByDevice = createRateLimiter(SUBMIT_MAX_PER_DEVICE, SUBMIT_RATE_WINDOW_MS);
+// Rate limited IPs and devices already logged as rejected in the window
+const rateLimitRejections = createRateLimiter(1, SUBMIT_RATE_WINDOW_MS);
 
 const auth = new google.auth.GoogleAuth({
   credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT),
@@ -24,23 +335,228 @@ const auth = new google.auth.GoogleAuth({
 });
 const drive = google.drive({ version: 'v3', auth });
 
+// Create the transport used to send customer emails, chosen by MAIL_TRANSPORT:
+// 'smtp' sends through SMTP_HOST, 'file' writes each message to DATA_DIR/outbox, 'console' logs it.
+function createMailTransport() {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const from = process.env.MAIL_FROM || '24/1 Pizza <no-reply@241pizza.com>';
+
+  if (transportName === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return {
+      async send(message) {
+        const info = await transporter.sendMail({ from, ...message });
+        console.log(`MAIL: Sent '${message.subject}' to ${message.to} via SMTP, id ${info.messageId}`);
+      },
+    };
+  }
+
+  if (transportName === 'file') {
+    const outboxDir = path.join(DATA_DIR, 'outbox');
+    return {
+      async send(message) {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.json`;
+        await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify({ from, ...message }, null, 2));
+        console.log(`MAIL: Wrote '${message.subject}' for ${message.to} to ${path.join(outboxDir, fileName)}`);
+      },
+    };
+  }
+
+  if (transportName !== 'console') {
+    console.warn(`MAIL: Unknown MAIL_TRANSPORT '${transportName}', falling back to console`);
+  }
+  return {
+    async send(message) {
+      console.log(`MAIL: To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    },
+  };
+}
+const mailTransport = createMailTransport();
+
+// Behind a reverse proxy, TRUST_PROXY tells Express which X-Forwarded-For hops to believe so req.ip
+// is the visitor's address: a hop count, 'true' for all, or a list of proxy addresses. On Render,
+// which sets RENDER, it defaults to the one hop of Render's proxy; without it every visitor would
+// share the proxy's IP for rate limiting and login throttling.
+const trustProxy = process.env.TRUST_PROXY || (process.env.RENDER ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 app.use(bodyParser.json());
+app.use(blockPrivateFiles);
 app.use(express.static(__dirname));
 
-// Initialize the Excel workbook
-async function initializeExcel() {
+// Initialize the Excel workbook, with any extra customer fields as columns after the known ones
+async function initializeExcel(extraFields = []) {
   const workbook = new ExcelJS.Workbook();
   const sheet = workbook.addWorksheet('Customers');
-  sheet.columns = [
-    { header: 'Name', key: 'name', width: 20 },
-    { header: 'Email', key: 'email', width: 30 },
-    { header: 'Phone', key: 'phone', width: 15 },
-    { header: 'Date of Birth', key: 'dob', width: 15 },
-  ];
+  sheet.columns = [...CUSTOMER_COLUMNS, ...extraFields.map(field => ({ header: field, key: field, width: 20 }))];
+  writeSchemaVersion(workbook, WORKBOOK_SCHEMA_VERSION);
   console.log('Initialized worksheet columns:', sheet.columns.map(col => ({ header: col.header, key: col.key })));
   return workbook;
 }
 
+// Schema version of a workbook. Workbooks from before versioning count as version 1.
+function readSchemaVersion(workbook) {
+  const sheet = workbook.getWorksheet('Schema');
+  return (sheet && Number(sheet.getCell('B1').value)) || 1;
+}
+
+function writeSchemaVersion(workbook, version) {
+  const sheet = workbook.getWorksheet('Schema') || workbook.addWorksheet('Schema', { state: 'hidden' });
+  sheet.getCell('A1').value = 'Schema Version';
+  sheet.getCell('B1').value = version;
+}
+
+// Customer field of each worksheet column, from the header row: a CUSTOMER_COLUMNS key, or the
+// header itself for columns this server does not know about (null when there is no header)
+function worksheetFields(sheet) {
+  const headerRow = sheet.getRow(1);
+  const fields = [];
+  for (let columnNumber = 1; columnNumber <= Math.max(sheet.columnCount, headerRow.cellCount); columnNumber++) {
+    const header = cellToString(headerRow.getCell(columnNumber).value);
+    fields.push(header ? COLUMN_KEYS_BY_HEADER.get(header.trim().toLowerCase()) || header.trim() : null);
+  }
+  return fields;
+}
+
+// Add header cells for the given CUSTOMER_COLUMNS keys that the worksheet does not have yet
+function addMissingColumns(sheet, keys) {
+  const fields = worksheetFields(sheet);
+  const headerRow = sheet.getRow(1);
+  let columnNumber = fields.length + 1;
+  keys.filter(key => !fields.includes(key)).forEach(key => {
+    const column = CUSTOMER_COLUMNS.find(candidate => candidate.key === key);
+    headerRow.getCell(columnNumber).value = column.header;
+    sheet.getColumn(columnNumber).width = column.width;
+    columnNumber++;
+  });
+  headerRow.commit();
+}
+
+// Upgrades of the Customers worksheet, applied in order to workbooks older than their version.
+// Each one must leave an already upgraded sheet unchanged, since the Schema sheet can be deleted by hand.
+const WORKBOOK_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'prize, voucher and signup time columns',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['prize', 'spunAt', 'voucherCode', 'redeemedAt', 'createdAt']);
+    },
+  },
+  {
+    version: 3,
+    description: 'customer IDs and updated times',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['id', 'updatedAt']);
+      assignCustomerIds(sheet);
+    },
+  },
+  {
+    version: 4,
+    description: 'marketing consent columns',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['marketingConsent', 'consentVersion', 'consentAt', 'consentIp', 'unsubscribedAt']);
+    },
+  },
+  {
+    version: 5,
+    description: 'birthday offer columns',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['birthdayOfferYear', 'birthdayVoucherCode', 'birthdayOfferSentAt', 'birthdayRedeemedAt']);
+    },
+  },
+  {
+    version: 6,
+    description: 'campaign column',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['campaign']);
+    },
+  },
+  {
+    version: 7,
+    description: 'location column',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['location']);
+    },
+  },
+  {
+    version: 8,
+    description: 'phone numbers in E.164 form',
+    migrate(sheet) {
+      const phoneColumn = worksheetFields(sheet).indexOf('phone') + 1;
+      if (phoneColumn === 0) return;
+      sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const phone = parsePhone(cellToString(row.getCell(phoneColumn).value));
+        if (phone) {
+          row.getCell(phoneColumn).value = phone;
+          row.commit();
+        }
+      });
+    },
+  },
+  {
+    version: 9,
+    description: 'email and phone lookup columns',
+    migrate(sheet) {
+      addMissingColumns(sheet, ['emailLookup', 'phoneLookup']);
+    },
+  },
+  {
+    version: 10,
+    description: 'unique IDs for customers sharing an email',
+    migrate(sheet) {
+      assignCustomerIds(sheet);
+    },
+  },
+];
+
+// Fill in the ID and times of every row, giving rows that share an ID a new one
+function assignCustomerIds(sheet) {
+  const fields = worksheetFields(sheet);
+  const takenIds = new Set();
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const customer = {};
+    fields.forEach((field, index) => {
+      if (field) customer[field] = cellToString(row.getCell(index + 1).value);
+    });
+    if (!customer.email && !customer.phone) return;
+    withLegacyDefaults(customer, takenIds);
+    ['id', 'createdAt', 'updatedAt'].forEach(field => {
+      row.getCell(fields.indexOf(field) + 1).value = customer[field];
+    });
+    row.commit();
+  });
+}
+
+// Upgrade a workbook to WORKBOOK_SCHEMA_VERSION in place. Returns whether anything changed.
+function migrateWorkbook(workbook, label) {
+  const version = readSchemaVersion(workbook);
+  if (version > WORKBOOK_SCHEMA_VERSION) {
+    console.warn(`MIGRATE: ${label}: Workbook has schema version ${version}, newer than this server's ${WORKBOOK_SCHEMA_VERSION}; leaving it as it is`);
+    return false;
+  }
+  const migrations = WORKBOOK_MIGRATIONS.filter(migration => migration.version > version);
+  if (migrations.length === 0) {
+    return false;
+  }
+  const sheet = workbook.getWorksheet('Customers');
+  migrations.forEach(migration => {
+    console.log(`MIGRATE: ${label}: Upgrading workbook to schema version ${migration.version} (${migration.description})`);
+    migration.migrate(sheet);
+  });
+  writeSchemaVersion(workbook, WORKBOOK_SCHEMA_VERSION);
+  return true;
+}
+
 // Check disk space and file permissions
 async function checkDiskSpaceAndPermissions(filePath, isNewFile = false) {
   try {
@@ -91,29 +607,15 @@ async function validateWorkbook(workbook) {
       throw new Error('Customers worksheet not found');
     }
 
-    const headers = sheet.getRow(1).values;
-    console.log('Worksheet headers:', headers);
-    const expectedHeaders = ['Name', 'Email', 'Phone', 'Date of Birth'];
-    const actualHeaders = headers.slice(1, 5);
-    const headersValid = expectedHeaders.every((header, index) => header === actualHeaders[index]);
-    if (!headersValid) {
-      throw new Error(`Invalid worksheet headers. Expected ${expectedHeaders}, got ${actualHeaders}`);
+    const fields = worksheetFields(sheet);
+    console.log('Worksheet columns:', fields);
+    const requiredFields = ['name', 'email', 'phone', 'dob'];
+    const missingFields = requiredFields.filter(field => !fields.includes(field));
+    if (missingFields.length > 0) {
+      throw new Error(`Invalid worksheet headers. Missing columns for ${missingFields}, got ${fields}`);
     }
 
-    let hasDataRows = false;
-    sheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-      const name = row.getCell(1).value;
-      const email = row.getCell(2).value;
-      const phone = row.getCell(3).value;
-      const dob = row.getCell(4).value;
-      if (name || email || phone || dob) {
-        hasDataRows = true;
-        console.log(`Validated row ${rowNumber}:`, [name, email, phone, dob]);
-      }
-    });
-
-    if (!hasDataRows) {
+    if (sheet.actualRowCount <= 1) {
       console.log('Workbook has no data rows, but header is valid');
     }
     return true;
@@ -123,9 +625,11 @@ async function validateWorkbook(workbook) {
   }
 }
 
-// Extract existing data from the workbook
+// Extract the customers of a workbook whose headers are not recognised. The original four columns
+// are read by position, and every other non-empty cell is kept under its header (or 'Column N').
 async function extractExistingData(workbook) {
   const data = [];
+  const takenIds = new Set();
   try {
     const sheet = workbook.getWorksheet('Customers');
     if (!sheet) {
@@ -133,15 +637,28 @@ async function extractExistingData(workbook) {
       return data;
     }
 
+    const headerRow = sheet.getRow(1);
     sheet.eachRow((row, rowNumber) => {
       if (rowNumber === 1) return;
       try {
-        const name = row.getCell(1).value;
-        const email = row.getCell(2).value;
-        const phone = row.getCell(3).value;
-        const dob = row.getCell(4).value;
-        if (name && email && phone && name.toString().trim() && email.toString().trim() && phone.toString().trim()) {
-          data.push([name, email, phone, dob]);
+        const customer = {};
+        row.eachCell((cell, columnNumber) => {
+          const value = cellToString(cell.value);
+          if (value === null) return;
+          // Columns are read by their header; only a column without one is taken to be the signup
+          // field its position held in the original four-column layout
+          const header = (cellToString(headerRow.getCell(columnNumber).value) || '').trim();
+          if (header) {
+            customer[COLUMN_KEYS_BY_HEADER.get(header.toLowerCase()) || header] = value;
+          } else {
+            customer[columnNumber <= 4 ? CUSTOMER_COLUMNS[columnNumber - 1].key : `Column ${columnNumber}`] = value;
+          }
+        });
+        const { name, email, phone, dob } = customer;
+        if (name && email && phone && name.trim() && email.trim() && phone.trim()) {
+          // The rebuilt workbook gets the current schema version, so apply the v8 phone migration here
+          customer.phone = parsePhone(phone) || phone;
+          data.push(withLegacyDefaults(customer, takenIds));
         } else {
           console.warn(`Row ${rowNumber} has missing or empty data, skipping:`, [name, email, phone, dob]);
         }
@@ -149,7 +666,7 @@ async function extractExistingData(workbook) {
         console.error(`Failed to extract row ${rowNumber}:`, error.message, error.stack);
       }
     });
-    console.log('Extracted existing data:', data);
+    console.log(`Extracted ${data.length} existing customers`);
   } catch (error) {
     console.error('Failed to extract existing data:', error.message, error.stack);
   }
@@ -160,15 +677,6 @@ async function extractExistingData(workbook) {
 async function loadLocalExcel() {
   if (cachedWorkbook) {
     console.log('LOAD: Using cached workbook');
-    console.log('LOAD: Cached workbook contents:');
-    const sheet = cachedWorkbook.getWorksheet('Customers');
-    sheet.eachRow((row, rowNumber) => {
-      const name = row.getCell(1).value || '';
-      const email = row.getCell(2).value || '';
-      const phone = row.getCell(3).value || '';
-      const dob = row.getCell(4).value || '';
-      console.log(`LOAD: Cached Row ${rowNumber}:`, [name, email, phone, dob]);
-    });
     const isValid = await validateWorkbook(cachedWorkbook);
     if (isValid) {
       return cachedWorkbook;
@@ -198,18 +706,16 @@ async function loadLocalExcel() {
     console.log('Loaded local Excel file:', LOCAL_EXCEL_FILE);
 
     const isValid = await validateWorkbook(workbook);
-    if (!isValid) {
+    if (isValid && migrateWorkbook(workbook, 'LOAD')) {
+      await takeSnapshot('migrate');
+      await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
+      await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+      localChangesPending = true;
+      console.log('LOAD: Saved the upgraded workbook, it will be uploaded to Google Drive');
+    } else if (!isValid) {
       console.log('Workbook validation failed, extracting data before recreation...');
       existingData = await extractExistingData(workbook);
-      workbook = await initializeExcel();
-      const sheet = workbook.getWorksheet('Customers');
-      if (existingData.length > 0) {
-        existingData.forEach(rowData => {
-          const newRow = sheet.addRow(rowData);
-          newRow.commit();
-          console.log('Re-added existing row during load:', rowData);
-        });
-      }
+      workbook = await buildCustomerWorkbook(existingData);
       await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
       await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
       await logFileStats(LOCAL_EXCEL_FILE, 'LOAD: After Recreation');
@@ -266,83 +772,64 @@ async function loadLocalExcel() {
   return workbook;
 }
 
-// Download the Excel file from Google Drive
-async function downloadFromGoogleDrive(forceSync = false) {
-  console.log(`DOWNLOAD: localChangesPending state: ${localChangesPending}, forceSync: ${forceSync}`);
-  if (localChangesPending && !forceSync) {
-    console.log('Skipping Google Drive download due to pending local changes');
-    return;
-  }
+// Download the Excel file from Google Drive. If the local file has changes that were never
+// uploaded and the Drive copy changed too, the two are merged row by row.
+async function downloadFromGoogleDrive() {
+  await flushPendingSave();
+  console.log(`DOWNLOAD: localChangesPending state: ${localChangesPending}`);
+  // An upgraded Drive copy is written locally and then uploaded so Google Drive is upgraded too
+  let driveCopyMigrated = false;
 
   try {
     console.log('DOWNLOAD: Querying Google Drive for customers.xlsx...');
     const response = await drive.files.list({
       q: `'${GOOGLE_DRIVE_FOLDER_ID}' in parents and name = 'customers.xlsx' and trashed = false`,
-      fields: 'files(id, name, trashed)',
+      fields: 'files(id, name, trashed, modifiedTime, md5Checksum, version)',
     });
 
     console.log('DOWNLOAD: Google Drive files found:', response.data.files);
 
     if (response.data.files.length > 0) {
-      const fileId = response.data.files[0].id;
-      const file = await drive.files.get(
-        { fileId, alt: 'media' },
-        { responseType: 'stream' }
-      );
-
-      await new Promise((resolve, reject) => {
-        const dest = require('fs').createWriteStream(LOCAL_EXCEL_FILE);
-        file.data
-          .on('error', reject)
-          .pipe(dest)
-          .on('error', reject)
-          .on('finish', resolve);
-      });
-      console.log('Downloaded Excel file from Google Drive to local:', LOCAL_EXCEL_FILE);
-      await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Download');
+      const remoteFile = response.data.files[0];
+      const syncState = await loadSyncState();
+      const localExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
+      const localMd5 = localExists ? await fileMd5(LOCAL_EXCEL_FILE) : null;
+      // Without a record of the last sync the Drive copy is the starting point, as it always was
+      const localChanged = localExists && (localChangesPending || (!!syncState && localMd5 !== syncState.localMd5));
 
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(LOCAL_EXCEL_FILE);
-      const isValid = await validateWorkbook(workbook);
-      if (!isValid) {
-        console.log('Downloaded file from Google Drive is corrupted, extracting data before recreation...');
-        const existingData = await extractExistingData(workbook);
-        const newWorkbook = await initializeExcel();
-        const sheet = newWorkbook.getWorksheet('Customers');
-        if (existingData.length > 0) {
-          existingData.forEach(rowData => {
-            const newRow = sheet.addRow(rowData);
-            newRow.commit();
-            console.log('Re-added existing row after download:', rowData);
-          });
+      if (localExists && !hasRemoteChanged(remoteFile, syncState)) {
+        console.log('DOWNLOAD: Google Drive copy has not changed since the last sync, keeping the local file');
+        if (localChanged) {
+          localChangesPending = true;
+          console.log('DOWNLOAD: Local file has changes that are not on Google Drive yet');
         }
-        await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
-        await newWorkbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-        await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Recreation');
-        console.log('Recreated Excel file with existing data after download:', LOCAL_EXCEL_FILE);
-        cachedWorkbook = newWorkbook;
-      } else {
-        cachedWorkbook = workbook;
+        clearDegraded('DOWNLOAD');
+        return;
       }
 
-      const sheet = cachedWorkbook.getWorksheet('Customers');
-      console.log('File contents after sync:');
-      console.log('Column keys:', sheet.columns.map(col => col.key));
-      sheet.eachRow((row, rowNumber) => {
-        if (rowNumber === 1) {
-          console.log('Headers:', row.values);
-        } else {
-          try {
-            const name = row.getCell(1).value || '';
-            const email = row.getCell(2).value || '';
-            const phone = row.getCell(3).value || '';
-            const dob = row.getCell(4).value || '';
-            console.log('Row ' + rowNumber + ':', [name, email, phone, dob]);
-          } catch (error) {
-            console.error(`Failed to log row ${rowNumber}:`, error.message, error.stack);
-          }
-        }
-      });
+      const remoteWorkbook = await downloadDriveCopy(remoteFile.id, 'DOWNLOAD');
+      driveCopyMigrated = migrateWorkbook(remoteWorkbook, 'DOWNLOAD');
+      if (localChanged) {
+        console.log('DOWNLOAD: Both the local file and the Google Drive copy changed, merging...');
+        await mergeRemoteIntoLocal(remoteFile, remoteWorkbook, 'DOWNLOAD');
+        clearDegraded('DOWNLOAD');
+        return;
+      }
+
+      await takeSnapshot('download');
+      await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
+      await remoteWorkbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+      await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Download');
+      console.log('Downloaded Excel file from Google Drive to local:', LOCAL_EXCEL_FILE);
+      cachedWorkbook = remoteWorkbook;
+      await recordSyncState(remoteFile, readStoredCustomers(remoteWorkbook.getWorksheet('Customers')), await fileMd5(LOCAL_EXCEL_FILE));
+
+      console.log(`DOWNLOAD: File has ${cachedWorkbook.getWorksheet('Customers').actualRowCount - 1} data rows after sync`);
+    } else if (await hasLocalCustomers()) {
+      console.log('DOWNLOAD: No Excel file found in Google Drive, keeping local data and marking it for upload.');
+      localChangesPending = true;
+      clearDegraded('DOWNLOAD');
+      return;
     } else {
       console.log('No Excel file found in Google Drive, initializing new one locally.');
       const workbook = await initializeExcel();
@@ -350,160 +837,778 @@ async function downloadFromGoogleDrive(forceSync = false) {
       await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
       await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Initialization');
       cachedWorkbook = workbook;
-
-      const sheet = workbook.getWorksheet('Customers');
-      console.log('Newly initialized file contents:');
-      sheet.eachRow((row, rowNumber) => {
-        const name = row.getCell(1).value || '';
-        const email = row.getCell(2).value || '';
-        const phone = row.getCell(3).value || '';
-        const dob = row.getCell(4).value || '';
-        console.log(`DOWNLOAD: Row ${rowNumber}:`, [name, email, phone, dob]);
-      });
     }
 
     // Reset localChangesPending after successful sync
-    localChangesPending = false;
-    console.log('DOWNLOAD: Reset localChangesPending to false after sync');
+    localChangesPending = driveCopyMigrated;
+    console.log(`DOWNLOAD: Reset localChangesPending to ${driveCopyMigrated} after sync`);
+    clearDegraded('DOWNLOAD');
   } catch (error) {
     console.error('Error downloading from Google Drive:', error.message, error.stack);
-    const workbook = await initializeExcel();
-    await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
-    await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-    await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Error Recovery');
-    cachedWorkbook = workbook;
+    // Never replace customer data because Google Drive could not be reached: keep the last good local file
+    if (await hasLocalCustomers()) {
+      console.log('DOWNLOAD: Keeping the last good local Excel file');
+      markDegraded(`Could not download from Google Drive (${error.message}). Serving the last good local file.`);
+      return;
+    }
+
+    const fileExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
+    if (!fileExists) {
+      console.log('DOWNLOAD: No local Excel file either, starting an empty one');
+      const workbook = await initializeExcel();
+      await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
+      await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+      await logFileStats(LOCAL_EXCEL_FILE, 'DOWNLOAD: After Error Recovery');
+      cachedWorkbook = workbook;
+    }
+    markDegraded(`Could not download from Google Drive (${error.message}) and there is no local customer data.`);
+  }
+}
 
+// Does the local Excel file exist, open, and hold at least one customer?
+async function hasLocalCustomers() {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(LOCAL_EXCEL_FILE);
     const sheet = workbook.getWorksheet('Customers');
-    console.log('File contents after error recovery:');
-    sheet.eachRow((row, rowNumber) => {
-      const name = row.getCell(1).value || '';
-      const email = row.getCell(2).value || '';
-      const phone = row.getCell(3).value || '';
-      const dob = row.getCell(4).value || '';
-      console.log(`DOWNLOAD: Row ${rowNumber}:`, [name, email, phone, dob]);
-    });
+    return !!sheet && readStoredCustomers(sheet).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
 
-    // Reset localChangesPending on error recovery
-    localChangesPending = false;
-    console.log('DOWNLOAD: Reset localChangesPending to false after error recovery');
+// Record that the sync with Google Drive is not working, so operators can see it
+function markDegraded(reason) {
+  if (!syncHealth.degraded) {
+    syncHealth.since = new Date().toISOString();
   }
+  syncHealth.degraded = true;
+  syncHealth.reason = reason;
+  console.error(`SYNC: Running in degraded mode: ${reason}`);
 }
 
-// Upload the local Excel file to Google Drive with retry
-async function uploadToGoogleDrive(maxRetries = 3) {
-  const startTime = Date.now();
-  console.log(`UPLOAD: Starting upload at ${new Date(startTime).toISOString()}`);
-  let retries = 0;
-  while (retries < maxRetries) {
-    try {
-      console.log('UPLOAD: Checking local Excel file...');
-      const stats = await fs.stat(LOCAL_EXCEL_FILE);
-      if (stats.size === 0) {
-        throw new Error('Local Excel file is empty');
-      }
-      console.log('UPLOAD: Local Excel file size:', stats.size, 'bytes');
-      await logFileStats(LOCAL_EXCEL_FILE, 'UPLOAD: Before');
+// Clear the degraded state after a successful sync
+function clearDegraded(label) {
+  if (syncHealth.degraded) {
+    console.log(`${label}: Google Drive sync recovered after degraded mode since ${syncHealth.since}`);
+  }
+  syncHealth.degraded = false;
+  syncHealth.reason = null;
+  syncHealth.since = null;
+}
 
-      console.log('UPLOAD: Authenticating with Google Drive...');
-      const authClient = await auth.getClient();
-      console.log('UPLOAD: Google Drive authentication successful:', !!authClient);
-      if (!authClient) {
-        throw new Error('Google Drive authentication failed');
-      }
+// Allow the next uploads to shrink the file to this many rows (called for intentional deletes)
+function confirmRowDecrease(rowCount) {
+  console.log(`SYNC: Confirmed upload of ${rowCount} rows after an intentional delete`);
+  confirmedRowFloor = rowCount;
+}
 
-      console.log('UPLOAD: Checking folder access...');
-      await drive.files.get({ fileId: GOOGLE_DRIVE_FOLDER_ID, fields: 'id, name' });
-      console.log('UPLOAD: Folder access confirmed, ID:', GOOGLE_DRIVE_FOLDER_ID);
+// MD5 of a file or buffer, comparable with the md5Checksum Google Drive reports
+async function fileMd5(filePathOrBuffer) {
+  const contents = Buffer.isBuffer(filePathOrBuffer) ? filePathOrBuffer : await fs.readFile(filePathOrBuffer);
+  return crypto.createHash('md5').update(contents).digest('hex');
+}
 
-      console.log('UPLOAD: Listing existing files in Google Drive...');
-      const existingFiles = await drive.files.list({
-        q: `'${GOOGLE_DRIVE_FOLDER_ID}' in parents and name = 'customers.xlsx' and trashed = false`,
-        fields: 'files(id, name)',
-      });
-      console.log('UPLOAD: Existing files found:', existingFiles.data.files);
+// Read the record of the last successful Google Drive sync, or null if there is none
+async function loadSyncState() {
+  try {
+    return JSON.parse(await fs.readFile(DRIVE_SYNC_STATE_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
 
-      const fileMetadata = {
-        name: 'customers.xlsx',
-        parents: [GOOGLE_DRIVE_FOLDER_ID],
-      };
+// Remember what the Drive copy looked like after a sync: its revision and its rows (the merge base)
+async function recordSyncState(remoteFile, baseCustomers, localMd5) {
+  const syncState = {
+    fileId: remoteFile.id,
+    modifiedTime: remoteFile.modifiedTime,
+    md5Checksum: remoteFile.md5Checksum,
+    version: remoteFile.version,
+    localMd5,
+    syncedAt: new Date().toISOString(),
+    // Rows are kept in their stored form, so customer data is encrypted here too
+    baseCustomers: baseCustomers.map(encryptCustomer),
+  };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(DRIVE_SYNC_STATE_FILE, JSON.stringify(syncState));
+  console.log(`SYNC: Recorded Drive revision ${remoteFile.version} (${remoteFile.modifiedTime}) with ${baseCustomers.length} rows`);
+}
 
-      const media = {
-        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        body: require('fs').createReadStream(LOCAL_EXCEL_FILE),
-      };
+// Has the Drive copy changed since the last sync? Without a record we have to assume it has.
+function hasRemoteChanged(remoteFile, syncState) {
+  return !syncState || syncState.fileId !== remoteFile.id || syncState.md5Checksum !== remoteFile.md5Checksum;
+}
 
-      let file;
-      if (existingFiles.data.files.length > 0) {
-        const fileId = existingFiles.data.files[0].id;
-        console.log('UPLOAD: Updating existing file, ID:', fileId);
-        file = await drive.files.update({
-          fileId: fileId,
-          media: media,
-          fields: 'id',
-        });
-        console.log('UPLOAD: Updated file in Google Drive, ID:', file.data.id);
-      } else {
-        console.log('UPLOAD: Creating new file in Google Drive...');
-        file = await drive.files.create({
-          resource: fileMetadata,
-          media: media,
-          fields: 'id',
-        });
-        console.log('UPLOAD: Created new file in Google Drive, ID:', file.data.id);
+// Download the Drive copy next to the local file and return it as a workbook, repairing it if needed
+async function downloadDriveCopy(fileId, label) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const file = await drive.files.get(
+    { fileId, alt: 'media' },
+    { responseType: 'stream' }
+  );
+  await new Promise((resolve, reject) => {
+    const dest = require('fs').createWriteStream(DRIVE_DOWNLOAD_FILE);
+    file.data
+      .on('error', reject)
+      .pipe(dest)
+      .on('error', reject)
+      .on('finish', resolve);
+  });
+  await logFileStats(DRIVE_DOWNLOAD_FILE, `${label}: Drive copy`);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(DRIVE_DOWNLOAD_FILE);
+  // Customer data typed into the Drive copy is plain, so it is not kept on disk that way
+  if (encryptWorksheet(workbook.getWorksheet('Customers'))) {
+    await workbook.xlsx.writeFile(DRIVE_DOWNLOAD_FILE);
+  }
+  const isValid = await validateWorkbook(workbook);
+  if (isValid) {
+    return workbook;
+  }
+
+  console.log(`${label}: Downloaded file from Google Drive is corrupted, extracting data before recreation...`);
+  const existingData = await extractExistingData(workbook);
+  console.log(`${label}: Re-added ${existingData.length} existing customers after download`);
+  return buildCustomerWorkbook(existingData);
+}
+
+// The value of a stored customer's field to compare in a merge. Encrypted values are compared
+// decrypted, since saving the same value again encrypts it differently.
+function mergeValue(customer, field) {
+  const value = customer[field] || null;
+  return ENCRYPTED_CUSTOMER_FIELDS.includes(field) ? decryptField(value) : value;
+}
+
+// Are two stored customer records identical in every column?
+function sameCustomer(a, b) {
+  return customerFields([a, b]).every(field => mergeValue(a, field) === mergeValue(b, field));
+}
+
+// Three-way merge of stored customer rows keyed on customer ID, or for rows without one on email
+// lookup (or phone lookup when there is no email). Changes made on only one side win; when both sides
+// changed the same field, or one side deleted a row the other edited, the local version is kept and
+// the conflict is reported.
+function mergeCustomers(baseCustomers, localCustomers, remoteCustomers) {
+  // Legacy rows of different people can share an email, so rows with an ID are keyed on it. Rows
+  // without one, such as those added on Google Drive, are keyed on email/phone and campaign, since a
+  // customer has one row per campaign they entered.
+  const withCampaign = (key, customer) => (customer.campaign ? `${key} (${customer.campaign})` : key);
+  const keyOf = customer => customer.id || withCampaign(customer.emailLookup || customer.phoneLookup, customer);
+  const baseById = new Map();
+  const baseByEmail = new Map();
+  const baseByPhone = new Map();
+  (baseCustomers || []).forEach(customer => {
+    if (customer.id) baseById.set(customer.id, customer);
+    if (customer.emailLookup) baseByEmail.set(withCampaign(customer.emailLookup, customer), customer);
+    if (customer.phoneLookup) baseByPhone.set(withCampaign(customer.phoneLookup, customer), customer);
+  });
+  // Line rows up through the base row they came from, so an email edited on one side still matches
+  const identify = customer => {
+    const baseCustomer = (customer.id && baseById.get(customer.id)) ||
+      baseByEmail.get(withCampaign(customer.emailLookup, customer)) ||
+      baseByPhone.get(withCampaign(customer.phoneLookup, customer));
+    return baseCustomer ? keyOf(baseCustomer) : keyOf(customer);
+  };
+  // A conflict names the row by its stored email (or phone) and campaign, since its key is a lookup hash
+  const conflictOn = (customer, details) => ({
+    key: customer.email || customer.phone,
+    campaign: customer.campaign || null,
+    id: customer.id || null,
+    ...details,
+  });
+
+  const baseMap = new Map((baseCustomers || []).map(customer => [keyOf(customer), customer]));
+  const localMap = new Map(localCustomers.map(customer => [identify(customer), customer]));
+  const remoteMap = new Map(remoteCustomers.map(customer => [identify(customer), customer]));
+  const keys = [...new Set([...localMap.keys(), ...remoteMap.keys()])];
+
+  const customers = [];
+  const conflicts = [];
+  keys.forEach(key => {
+    const base = baseMap.get(key);
+    const local = localMap.get(key);
+    const remote = remoteMap.get(key);
+
+    if (local && remote) {
+      if (sameCustomer(local, remote)) {
+        customers.push(local);
+        return;
       }
-      localChangesPending = false;
-      console.log('UPLOAD: Upload successful, localChangesPending set to false');
-      const endTime = Date.now();
-      console.log(`UPLOAD: Upload completed at ${new Date(endTime).toISOString()}, took ${(endTime - startTime) / 1000} seconds`);
-      return true;
-    } catch (error) {
-      retries++;
-      if (error.code === 429) {
-        console.error(`UPLOAD: Rate limit exceeded (attempt ${retries}/${maxRetries}):`, error.message);
-      } else {
-        console.error(`UPLOAD: Failed to upload to Google Drive (attempt ${retries}/${maxRetries}):`, error.message, error.stack);
+      const merged = {};
+      customerFields([base, local, remote].filter(Boolean)).forEach(field => {
+        const baseValue = base ? mergeValue(base, field) : null;
+        const localValue = mergeValue(local, field);
+        const remoteValue = mergeValue(remote, field);
+        if (localValue === remoteValue || (base && remoteValue === baseValue)) {
+          merged[field] = local[field] || null;
+        } else if (base && localValue === baseValue) {
+          merged[field] = remote[field] || null;
+        } else {
+          merged[field] = local[field] || null;
+          // The lookups change along with the email and phone, whose conflicts are reported instead
+          if (!LOOKUP_FIELDS.includes(field)) {
+            conflicts.push(conflictOn(local, {
+              field,
+              base: base ? base[field] || null : null,
+              local: local[field] || null,
+              remote: remote[field] || null,
+              kept: 'local',
+            }));
+          }
+        }
+      });
+      customers.push(merged);
+    } else if (local) {
+      if (!base) {
+        customers.push(local);
+      } else if (!sameCustomer(local, base)) {
+        customers.push(local);
+        conflicts.push(conflictOn(local, { field: null, base, local, remote: null, kept: 'local', reason: 'Deleted on Google Drive but edited locally' }));
       }
-      console.error('UPLOAD: Error details:', JSON.stringify(error, null, 2));
-      if (retries === maxRetries) {
-        throw new Error(`Failed to upload to Google Drive after ${maxRetries} attempts: ${error.message}`);
+    } else if (remote) {
+      if (!base) {
+        customers.push(remote);
+      } else if (!sameCustomer(remote, base)) {
+        customers.push(remote);
+        conflicts.push(conflictOn(remote, { field: null, base, local: null, remote, kept: 'remote', reason: 'Deleted locally but edited on Google Drive' }));
       }
-      const delay = 5000; // 5 seconds delay between retries
-      console.log(`UPLOAD: Retrying after ${delay / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
     }
-  }
-  throw new Error('Failed to upload to Google Drive after maximum retries');
+  });
+  return { customers, conflicts };
 }
 
-// Periodic sync with Google Drive (every 5 minutes)
-function startGoogleDriveSync() {
-  console.log('Starting periodic Google Drive sync (every 5 minutes)...');
-  setInterval(async () => {
-    const syncStartTime = Date.now();
-    console.log(`SYNC: Starting sync at ${new Date(syncStartTime).toISOString()}`);
-    try {
-      console.log(`SYNC: Checking localChangesPending: ${localChangesPending}`);
-      if (localChangesPending) {
-        console.log('Periodic sync: Local changes detected, uploading to Google Drive...');
-        await uploadToGoogleDrive();
-        console.log('Periodic sync: Successfully uploaded to Google Drive.');
-      } else {
-        console.log('Periodic sync: No local changes to sync.');
-      }
-    } catch (error) {
-      console.error('Periodic sync: Failed to sync with Google Drive:', error.message, error.stack);
-      console.error('Periodic sync: Error details:', JSON.stringify(error, null, 2));
+// Apply transform to the customer data in a merge conflict: its key and either the conflicting
+// field's values or, for a deleted row, the whole customers
+function transformConflict(conflict, transformField, transformCustomer) {
+  const transformValue = value => {
+    if (value === null || value === undefined) {
+      return value;
     }
-    const syncEndTime = Date.now();
-    console.log(`SYNC: Sync completed at ${new Date(syncEndTime).toISOString()}, took ${(syncEndTime - syncStartTime) / 1000} seconds`);
+    if (!conflict.field) {
+      return transformCustomer(value);
+    }
+    return ENCRYPTED_CUSTOMER_FIELDS.includes(conflict.field) ? transformField(value) : value;
+  };
+  return {
+    ...conflict,
+    key: transformField(conflict.key),
+    base: transformValue(conflict.base),
+    local: transformValue(conflict.local),
+    remote: transformValue(conflict.remote),
+  };
+}
+
+// The stored form of a merge conflict, with its customer data encrypted
+function encryptConflict(conflict) {
+  return transformConflict(conflict, encryptField, encryptCustomer);
+}
+
+// A merge conflict read from the conflict log, decrypted
+function decryptConflict(conflict) {
+  return transformConflict(conflict, decryptField, decryptCustomer);
+}
+
+// Append merge conflicts to the conflict log for admin review
+async function recordSyncConflicts(conflicts, label) {
+  if (conflicts.length === 0) {
+    return;
+  }
+  const at = new Date().toISOString();
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(SYNC_CONFLICTS_FILE, conflicts.map(conflict => JSON.stringify({ at, ...encryptConflict(conflict) }) + '\n').join(''));
+  conflicts.forEach(conflict => {
+    console.warn(`${label}: Sync conflict on customer ${conflict.id}${conflict.field ? ` field ${conflict.field}` : ''}, kept ${conflict.kept} version`);
+  });
+}
+
+// Merge the Drive copy into the local file and mark the result for upload
+async function mergeRemoteIntoLocal(remoteFile, remoteWorkbook, label) {
+  const syncState = await loadSyncState();
+  const localWorkbook = await loadLocalExcel();
+  const localCustomers = readStoredCustomers(localWorkbook.getWorksheet('Customers')).map(encryptCustomer);
+  const remoteCustomers = readStoredCustomers(remoteWorkbook.getWorksheet('Customers')).map(encryptCustomer);
+  const { customers, conflicts } = mergeCustomers(syncState ? syncState.baseCustomers.map(encryptCustomer) : null, localCustomers, remoteCustomers);
+  console.log(`${label}: Merged ${localCustomers.length} local and ${remoteCustomers.length} Google Drive rows into ${customers.length} rows, ${conflicts.length} conflicts`);
+  const idCount = assignMissingIds(customers);
+  if (idCount > 0) {
+    console.log(`${label}: Gave ${idCount} rows added on Google Drive a Customer ID`);
+  }
+  await recordSyncConflicts(conflicts, label);
+
+  const mergedWorkbook = await buildCustomerWorkbook(customers);
+  await takeSnapshot('merge');
+  await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
+  await mergedWorkbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+  await logFileStats(LOCAL_EXCEL_FILE, `${label}: After Merge`);
+  cachedWorkbook = mergedWorkbook;
+  pendingSave = null;
+  localChangesPending = true;
+
+  // The Drive copy is now part of the local file, so it becomes the base of the next merge
+  await recordSyncState(remoteFile, remoteCustomers, syncState ? syncState.localMd5 : null);
+}
+
+// Copy the local Excel file into the snapshot directory before it is overwritten
+async function takeSnapshot(reason) {
+  try {
+    const fileExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
+    if (!fileExists) {
+      return null;
+    }
+    const md5 = await fileMd5(LOCAL_EXCEL_FILE);
+    if (md5 === lastSnapshotMd5) {
+      console.log(`SNAPSHOT: Local file unchanged since the last snapshot, skipping (${reason})`);
+      return null;
+    }
+
+    let rowCount = savedFileRows.count;
+    let encryptedWorkbook = null;
+    if (md5 !== savedFileRows.md5) {
+      // Written by a download, merge or restore, or before a restart, so its rows have to be counted
+      // and it may hold customer data saved before CUSTOMER_DATA_KEY was set
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(LOCAL_EXCEL_FILE);
+      const sheet = workbook.getWorksheet('Customers');
+      rowCount = sheet ? readStoredCustomers(sheet).length : 0;
+      encryptedWorkbook = encryptWorksheet(sheet) ? workbook : null;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const id = `customers_${stamp}_${reason}_${rowCount}`;
+
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+    if (encryptedWorkbook) {
+      await encryptedWorkbook.xlsx.writeFile(path.join(SNAPSHOT_DIR, `${id}.xlsx`));
+    } else {
+      await fs.copyFile(LOCAL_EXCEL_FILE, path.join(SNAPSHOT_DIR, `${id}.xlsx`));
+    }
+    lastSnapshotMd5 = md5;
+    console.log(`SNAPSHOT: Saved ${id} with ${rowCount} rows`);
+    await pruneSnapshots();
+    return id;
+  } catch (error) {
+    console.error(`SNAPSHOT: Failed to take snapshot (${reason}):`, error.message, error.stack);
+    return null;
+  }
+}
+
+// List snapshots, newest first
+async function listSnapshots() {
+  const fileNames = await fs.readdir(SNAPSHOT_DIR).catch(() => []);
+  const snapshots = [];
+  for (const fileName of fileNames) {
+    const match = SNAPSHOT_NAME_PATTERN.exec(path.basename(fileName, '.xlsx'));
+    if (!match || !fileName.endsWith('.xlsx')) continue;
+    const [date, time] = match[1].split('T');
+    const [hours, minutes, seconds, milliseconds] = time.replace('Z', '').split('-');
+    snapshots.push({
+      id: path.basename(fileName, '.xlsx'),
+      takenAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`).toISOString(),
+      reason: match[2],
+      rowCount: Number(match[3]),
+    });
+  }
+  return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+// Delete snapshots that fall outside the retention rules
+async function pruneSnapshots() {
+  const now = Date.now();
+  const keptBuckets = new Set();
+  for (const snapshot of await listSnapshots()) {
+    const takenAt = new Date(snapshot.takenAt).getTime();
+    const age = now - takenAt;
+    let bucket = null;
+    if (age < SNAPSHOT_KEEP_ALL_MS) {
+      continue;
+    } else if (age < SNAPSHOT_KEEP_HOURLY_MS) {
+      bucket = `hour-${Math.floor(takenAt / (60 * 60 * 1000))}`;
+    } else if (age < SNAPSHOT_KEEP_DAILY_MS) {
+      bucket = `day-${snapshot.takenAt.slice(0, 10)}`;
+    }
+
+    if (bucket && !keptBuckets.has(bucket)) {
+      keptBuckets.add(bucket);
+      continue;
+    }
+    await fs.unlink(path.join(SNAPSHOT_DIR, `${snapshot.id}.xlsx`)).catch(() => {});
+    console.log(`SNAPSHOT: Removed ${snapshot.id} (retention)`);
+  }
+}
+
+// Encrypt the plain customer data in a Customers worksheet, saved before CUSTOMER_DATA_KEY was set
+// or typed into the Google Drive copy, and fill in the lookups. Returns whether anything changed.
+function encryptWorksheet(sheet) {
+  if (!CUSTOMER_DATA_KEY || !sheet) {
+    return false;
+  }
+  const fields = worksheetFields(sheet);
+  let changed = false;
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const customer = {};
+    fields.forEach((field, index) => {
+      if (field) customer[field] = cellToString(row.getCell(index + 1).value);
+    });
+    if (!hasPlainCustomerData([customer])) return;
+    const stored = encryptCustomer(customer);
+    [...ENCRYPTED_CUSTOMER_FIELDS, ...LOOKUP_FIELDS].filter(field => fields.includes(field)).forEach(field => {
+      row.getCell(fields.indexOf(field) + 1).value = stored[field];
+    });
+    row.commit();
+    changed = true;
+  });
+  return changed;
+}
+
+// Encrypt the plain customer data in a workbook file, replacing it. Returns whether anything changed.
+async function encryptWorkbookFile(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  if (!encryptWorksheet(workbook.getWorksheet('Customers'))) {
+    return false;
+  }
+  const tempPath = `${filePath}.tmp`;
+  await workbook.xlsx.writeFile(tempPath);
+  await fs.rename(tempPath, filePath);
+  return true;
+}
+
+// Rewrite the entries of a JSON lines log with transform, which encrypts the customer data in one.
+// Unreadable lines are kept as they are. Returns how many entries changed.
+async function encryptLogFile(filePath, transform) {
+  const contents = await fs.readFile(filePath, 'utf8').catch(() => '');
+  let changedCount = 0;
+  const lines = contents.split('\n').filter(line => line.trim()).map(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return line;
+    }
+    const encrypted = JSON.stringify(transform(entry));
+    if (encrypted !== line) {
+      changedCount++;
+    }
+    return encrypted;
+  });
+  if (changedCount > 0) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, lines.map(line => line + '\n').join(''));
+    await fs.rename(tempPath, filePath);
+  }
+  return changedCount;
+}
+
+// Encrypt the customer data that logs and earlier copies of customers.xlsx under DATA_DIR still hold
+// in plain, written before CUSTOMER_DATA_KEY was set. Runs on start, before anything appends to the logs.
+async function encryptPlainCopies() {
+  if (!CUSTOMER_DATA_KEY) {
+    return;
+  }
+  const logs = [
+    [CONSENT_LOG_FILE, encryptCustomer],
+    [REJECTED_SIGNUPS_FILE, entry => ({ ...entry, email: encryptField(entry.email) })],
+    [SYNC_CONFLICTS_FILE, encryptConflict],
+  ];
+  for (const [filePath, transform] of logs) {
+    const changedCount = await encryptLogFile(filePath, transform);
+    if (changedCount > 0) {
+      console.log(`ENCRYPT: Encrypted customer data in ${changedCount} entries of ${filePath}`);
+    }
+  }
+
+  const workbookFiles = [
+    ...(await listSnapshots()).map(snapshot => path.join(SNAPSHOT_DIR, `${snapshot.id}.xlsx`)),
+    DRIVE_DOWNLOAD_FILE,
+  ];
+  for (const filePath of workbookFiles) {
+    const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (!fileExists) continue;
+    try {
+      if (await encryptWorkbookFile(filePath)) {
+        console.log(`ENCRYPT: Encrypted customer data in ${filePath}`);
+      }
+    } catch (error) {
+      console.error(`ENCRYPT: Failed to encrypt customer data in ${filePath}:`, error.message);
+    }
+  }
+}
+
+// Upload the local Excel file to Google Drive with retry. Unless allowFewerRows is set, an upload
+// holding fewer rows than Google Drive had at the last sync is refused, so a wiped or truncated
+// local file cannot replace the Drive copy.
+async function uploadToGoogleDrive(maxRetries = 3, { allowFewerRows = false } = {}) {
+  await flushPendingSave();
+  const startTime = Date.now();
+  console.log(`UPLOAD: Starting upload at ${new Date(startTime).toISOString()}`);
+  let retries = 0;
+  while (retries < maxRetries) {
+    try {
+      console.log('UPLOAD: Checking local Excel file...');
+      const stats = await fs.stat(LOCAL_EXCEL_FILE);
+      if (stats.size === 0) {
+        throw new Error('Local Excel file is empty');
+      }
+      console.log('UPLOAD: Local Excel file size:', stats.size, 'bytes');
+      await logFileStats(LOCAL_EXCEL_FILE, 'UPLOAD: Before');
+
+      console.log('UPLOAD: Authenticating with Google Drive...');
+      const authClient = await auth.getClient();
+      console.log('UPLOAD: Google Drive authentication successful:', !!authClient);
+      if (!authClient) {
+        throw new Error('Google Drive authentication failed');
+      }
+
+      console.log('UPLOAD: Checking folder access...');
+      await drive.files.get({ fileId: GOOGLE_DRIVE_FOLDER_ID, fields: 'id, name' });
+      console.log('UPLOAD: Folder access confirmed, ID:', GOOGLE_DRIVE_FOLDER_ID);
+
+      console.log('UPLOAD: Listing existing files in Google Drive...');
+      const existingFiles = await drive.files.list({
+        q: `'${GOOGLE_DRIVE_FOLDER_ID}' in parents and name = 'customers.xlsx' and trashed = false`,
+        fields: 'files(id, name, modifiedTime, md5Checksum, version)',
+      });
+      console.log('UPLOAD: Existing files found:', existingFiles.data.files);
+
+      const remoteFile = existingFiles.data.files[0];
+      if (remoteFile && hasRemoteChanged(remoteFile, await loadSyncState())) {
+        if (customerStore.name === 'excel') {
+          console.log('UPLOAD: Google Drive copy changed since the last sync, merging it before uploading...');
+          const remoteWorkbook = await downloadDriveCopy(remoteFile.id, 'UPLOAD');
+          await mergeRemoteIntoLocal(remoteFile, remoteWorkbook, 'UPLOAD');
+        } else {
+          console.warn('UPLOAD: Google Drive copy changed since the last sync, but it is only an export of the customer store and will be replaced');
+        }
+      }
+
+      // Upload exactly the bytes that the sync record describes
+      const localBuffer = await fs.readFile(LOCAL_EXCEL_FILE);
+      const uploadedWorkbook = new ExcelJS.Workbook();
+      await uploadedWorkbook.xlsx.load(localBuffer);
+      const uploadedRowCount = readStoredCustomers(uploadedWorkbook.getWorksheet('Customers')).length;
+      const syncState = await loadSyncState();
+      const lastKnownRowCount = syncState ? syncState.baseCustomers.length : 0;
+      const rowFloor = confirmedRowFloor !== null ? Math.min(confirmedRowFloor, lastKnownRowCount) : lastKnownRowCount;
+      if (!allowFewerRows && uploadedRowCount < rowFloor) {
+        const blockedError = new Error(`Upload blocked: local file has ${uploadedRowCount} rows but Google Drive had ${lastKnownRowCount} at the last sync`);
+        blockedError.uploadBlocked = true;
+        markDegraded(`${blockedError.message}. Confirm the upload through /admin/sync/confirm-upload if this is intended.`);
+        throw blockedError;
+      }
+
+      const fileMetadata = {
+        name: 'customers.xlsx',
+        parents: [GOOGLE_DRIVE_FOLDER_ID],
+      };
+
+      const media = {
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: Readable.from(localBuffer),
+      };
+
+      let file;
+      if (existingFiles.data.files.length > 0) {
+        const fileId = existingFiles.data.files[0].id;
+        console.log('UPLOAD: Updating existing file, ID:', fileId);
+        file = await drive.files.update({
+          fileId: fileId,
+          media: media,
+          fields: 'id, modifiedTime, md5Checksum, version',
+        });
+        console.log('UPLOAD: Updated file in Google Drive, ID:', file.data.id);
+      } else {
+        console.log('UPLOAD: Creating new file in Google Drive...');
+        file = await drive.files.create({
+          resource: fileMetadata,
+          media: media,
+          fields: 'id, modifiedTime, md5Checksum, version',
+        });
+        console.log('UPLOAD: Created new file in Google Drive, ID:', file.data.id);
+      }
+      await recordSyncState(file.data, readStoredCustomers(uploadedWorkbook.getWorksheet('Customers')), await fileMd5(localBuffer));
+      confirmedRowFloor = null;
+      clearDegraded('UPLOAD');
+      localChangesPending = false;
+      console.log('UPLOAD: Upload successful, localChangesPending set to false');
+      const endTime = Date.now();
+      console.log(`UPLOAD: Upload completed at ${new Date(endTime).toISOString()}, took ${(endTime - startTime) / 1000} seconds`);
+      return true;
+    } catch (error) {
+      if (error.uploadBlocked) {
+        console.error('UPLOAD:', error.message);
+        throw error;
+      }
+      retries++;
+      if (error.code === 429) {
+        console.error(`UPLOAD: Rate limit exceeded (attempt ${retries}/${maxRetries}):`, error.message);
+      } else {
+        console.error(`UPLOAD: Failed to upload to Google Drive (attempt ${retries}/${maxRetries}):`, error.message, error.stack);
+      }
+      console.error('UPLOAD: Error details:', JSON.stringify(error, null, 2));
+      if (retries === maxRetries) {
+        markDegraded(`Could not upload to Google Drive (${error.message}). Local changes are kept and will be retried.`);
+        throw new Error(`Failed to upload to Google Drive after ${maxRetries} attempts: ${error.message}`);
+      }
+      const delay = 5000; // 5 seconds delay between retries
+      console.log(`UPLOAD: Retrying after ${delay / 1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  throw new Error('Failed to upload to Google Drive after maximum retries');
+}
+
+// Periodic sync with Google Drive (every 5 minutes)
+function startGoogleDriveSync() {
+  console.log('Starting periodic Google Drive sync (every 5 minutes)...');
+  setInterval(async () => {
+    const syncStartTime = Date.now();
+    console.log(`SYNC: Starting sync at ${new Date(syncStartTime).toISOString()}`);
+    try {
+      await withFileLock(async () => {
+        await flushPendingSave();
+        await takeSnapshot('sync');
+      });
+      console.log(`SYNC: Checking localChangesPending: ${localChangesPending}`);
+      if (localChangesPending) {
+        console.log('Periodic sync: Local changes detected, uploading to Google Drive...');
+        await withFileLock(() => uploadToGoogleDrive());
+        console.log('Periodic sync: Successfully uploaded to Google Drive.');
+      } else {
+        console.log('Periodic sync: No local changes to sync.');
+      }
+    } catch (error) {
+      console.error('Periodic sync: Failed to sync with Google Drive:', error.message, error.stack);
+      console.error('Periodic sync: Error details:', JSON.stringify(error, null, 2));
+    }
+    const syncEndTime = Date.now();
+    console.log(`SYNC: Sync completed at ${new Date(syncEndTime).toISOString()}, took ${(syncEndTime - syncStartTime) / 1000} seconds`);
   }, 5 * 60 * 1000);
 }
 
+// Next birthday on or after the given day, in local time, or null if the DOB cannot be read.
+// The DOB is YYYY-MM-DD, or --MM-DD for customers who gave no birth year.
+// Birthdays on 29 February fall on 28 February in other years.
+function nextBirthday(dob, fromDate) {
+  const match = /^(?:\d{4}|-)-(\d{2})-(\d{2})/.exec(dob || '');
+  if (!match) {
+    return null;
+  }
+  const month = Number(match[1]) - 1;
+  const day = Number(match[2]);
+  const start = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+  for (const year of [start.getFullYear(), start.getFullYear() + 1]) {
+    const birthday = new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+    if (birthday >= start) {
+      return birthday;
+    }
+  }
+  return null;
+}
+
+// The birthday offer run in progress, if any
+let birthdayOfferRun = null;
+
+// Email a birthday voucher to every opted-in customer whose birthday is within BIRTHDAY_LOOKAHEAD_DAYS
+// and who has not had one for that birthday yet. Returns how many offers were sent. A call made
+// while a run is in progress (the daily run and a manual one) waits for that run instead of starting another.
+function sendBirthdayOffers(now = new Date()) {
+  if (!birthdayOfferRun) {
+    birthdayOfferRun = runBirthdayOffers(now).finally(() => {
+      birthdayOfferRun = null;
+    });
+  }
+  return birthdayOfferRun;
+}
+
+async function runBirthdayOffers(now) {
+  const customers = await withFileLock(() => customerStore.list());
+  const until = new Date(now.getFullYear(), now.getMonth(), now.getDate() + BIRTHDAY_LOOKAHEAD_DAYS);
+  let sentCount = 0;
+
+  // A customer has one entry per campaign; the offer goes to their newest entry, once per email
+  const entriesByEmail = new Map();
+  customers.forEach(customer => {
+    const key = customer.emailLookup;
+    entriesByEmail.set(key, [...(entriesByEmail.get(key) || []), customer]);
+  });
+
+  for (const entries of entriesByEmail.values()) {
+    const customer = entries.reduce((newest, entry) => ((entry.createdAt || '') > (newest.createdAt || '') ? entry : newest));
+    if (customer.marketingConsent !== 'yes') continue;
+    const birthday = nextBirthday(decryptField(customer.dob), now);
+    if (!birthday || birthday > until || entries.some(entry => entry.birthdayOfferYear === String(birthday.getFullYear()))) continue;
+
+    // Record the offer before sending it, checking again under the lock that no other run has sent it
+    const year = String(birthday.getFullYear());
+    const voucherCode = generateVoucherCode();
+    const previous = await withFileLock(async () => {
+      const current = await customerStore.findById(customer.id);
+      const currentEntries = await customerStore.findByLookups({ emailLookup: customer.emailLookup });
+      if (!current || currentEntries.some(entry => entry.birthdayOfferYear === year)) {
+        return null;
+      }
+      await customerStore.update(customer.id, {
+        birthdayOfferYear: year,
+        birthdayVoucherCode: voucherCode,
+        birthdayOfferSentAt: new Date().toISOString(),
+        birthdayRedeemedAt: null,
+      });
+      return current;
+    });
+    if (!previous) continue;
+
+    try {
+      await mailTransport.send({
+        to: decryptField(customer.email),
+        subject: `Happy birthday from 24/1 Pizza, ${customer.name}!`,
+        text: `Happy birthday, ${customer.name}!\n\n` +
+          `To celebrate, your next visit comes with a ${BIRTHDAY_OFFER} on us. Show this code at 24/1 Pizza to claim it:\n\n` +
+          `${voucherCode}\n\n` +
+          `You are receiving this because you asked for offers from 24/1 Pizza. To stop them, visit ${unsubscribeUrl(customer)}`,
+      });
+      sentCount++;
+      console.log(`BIRTHDAY: Sent ${year} offer to customer ${customer.id}`);
+    } catch (error) {
+      console.error(`BIRTHDAY: Failed to send offer to customer ${customer.id}, it will be retried on the next run:`, error.message, error.stack);
+      // Put back the previous offer, so the next run sends this one again
+      await withFileLock(() => customerStore.update(customer.id, {
+        birthdayOfferYear: previous.birthdayOfferYear || null,
+        birthdayVoucherCode: previous.birthdayVoucherCode || null,
+        birthdayOfferSentAt: previous.birthdayOfferSentAt || null,
+        birthdayRedeemedAt: previous.birthdayRedeemedAt || null,
+      }));
+    }
+  }
+  return sentCount;
+}
+
+// Daily birthday offers. The scheduler checks every hour and runs once per local day, so a
+// restart runs the day's offers again, which only sends the ones still missing.
+function startBirthdayScheduler() {
+  console.log(`Starting birthday offer scheduler (${BIRTHDAY_LOOKAHEAD_DAYS} days ahead)...`);
+  let lastRunDate = null;
+  const runIfDue = async () => {
+    const today = new Date().toDateString();
+    if (today === lastRunDate) return;
+    lastRunDate = today;
+    try {
+      const sentCount = await sendBirthdayOffers();
+      console.log(`BIRTHDAY: Daily run sent ${sentCount} offers`);
+    } catch (error) {
+      console.error('BIRTHDAY: Daily run failed:', error.message, error.stack);
+      lastRunDate = null;
+    }
+  };
+  runIfDue();
+  setInterval(runIfDue, BIRTHDAY_CHECK_INTERVAL_MS);
+}
+
 // Download the Excel file from Google Drive on server start
 async function initializeFromGoogleDrive() {
   console.log('INIT: Initializing server with data from Google Drive...');
-  // Force sync even if localChangesPending is true
-  await downloadFromGoogleDrive(true);
+  await downloadFromGoogleDrive();
 
   const fileExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
   if (!fileExists) {
@@ -532,498 +1637,3143 @@ async function initializeFromGoogleDrive() {
         if (writeAttempts === maxWriteAttempts) {
           throw new Error(`Failed to initialize new Excel file on server start after ${maxWriteAttempts} attempts: ${writeError.message}`);
         }
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    cachedWorkbook = workbook;
+  }
+
+  // Read the file again so it is validated and upgraded to the current schema
+  cachedWorkbook = null;
+  const workbook = await loadLocalExcel();
+  console.log(`INIT: Excel file has ${workbook.getWorksheet('Customers').actualRowCount - 1} data rows after initialization`);
+}
+
+// Normalize an email for comparisons
+function normalizeEmail(email) {
+  return email ? email.toString().toLowerCase().trim() : '';
+}
+
+// Parse a phone number in a common format, such as "(416) 555-0101", "+1 416 555 0101" or
+// "0044 20 7946 0958", into E.164 form ("+14165550101"). Numbers without a country code are taken
+// to be in DEFAULT_PHONE_COUNTRY_CODE. Returns null if it is not a plausible phone number.
+function parsePhone(phone) {
+  const text = phone === null || phone === undefined ? '' : phone.toString().trim();
+  if (!/^(\+|00)?[\d\s().\/-]+$/.test(text)) {
+    return null;
+  }
+  // "+44 (0)20 ..." shows the trunk prefix used only within the country
+  let digits = text.replace('(0)', '').replace(/\D/g, '');
+  if (text.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (!text.startsWith('+') && !(DEFAULT_PHONE_COUNTRY_CODE === '1' && /^1\d{10}$/.test(digits))) {
+    // A national number, which outside North America may start with a 0 trunk prefix
+    digits = DEFAULT_PHONE_COUNTRY_CODE + (DEFAULT_PHONE_COUNTRY_CODE === '1' ? digits : digits.replace(/^0/, ''));
+  }
+  // North American numbers have a ten-digit number whose area code and exchange do not start with 0 or 1
+  if (digits.startsWith('1')) {
+    return /^1[2-9]\d{2}[2-9]\d{6}$/.test(digits) ? `+${digits}` : null;
+  }
+  return /^[2-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+// Normalize a phone number for comparisons: its E.164 form, or the trimmed text for numbers
+// saved before they were normalized that cannot be parsed
+function normalizePhone(phone) {
+  return parsePhone(phone) || (phone ? phone.toString().trim() : '');
+}
+
+// Convert a worksheet cell value to the plain string kept on a customer record
+function cellToString(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return value.text.toString();
+    }
+    if (value.result !== undefined) {
+      return value.result.toString();
+    }
+  }
+  return value.toString();
+}
+
+// Read the customers of the Customers worksheet as they are stored, encrypted fields and lookup
+// hashes included, skipping rows without a name, email and phone. Columns are matched by header;
+// columns without a header are read as 'Column N' when they hold data.
+function readStoredCustomers(sheet) {
+  const customers = [];
+  const fields = worksheetFields(sheet);
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const customer = {};
+    CUSTOMER_COLUMNS.forEach(column => {
+      customer[column.key] = null;
+    });
+    fields.forEach((field, index) => {
+      const value = cellToString(row.getCell(index + 1).value);
+      if (field) {
+        customer[field] = value;
+      } else if (value !== null) {
+        customer[`Column ${index + 1}`] = value;
+      }
+    });
+    if (customer.name && customer.email && customer.phone) {
+      customers.push(customer);
+    } else {
+      console.warn(`STORE: Row ${rowNumber} has missing or empty data, skipping`);
+    }
+  });
+  return customers;
+}
+
+// Every field of the given customers: the CUSTOMER_COLUMNS keys, then any extra fields
+function customerFields(customers) {
+  const fields = new Set(CUSTOMER_COLUMNS.map(column => column.key));
+  customers.forEach(customer => Object.keys(customer).forEach(field => fields.add(field)));
+  return Array.from(fields);
+}
+
+// Worksheet row values of a customer, one for each of the worksheet's fields
+function customerToRowValues(customer, fields) {
+  return fields.map(field => (customer[field] === undefined ? null : customer[field]));
+}
+
+// Build a fresh workbook holding the given customers
+async function buildCustomerWorkbook(customers) {
+  const fields = customerFields(customers);
+  const workbook = await initializeExcel(fields.slice(CUSTOMER_COLUMNS.length));
+  const sheet = workbook.getWorksheet('Customers');
+  customers.forEach(customer => {
+    sheet.addRow(customerToRowValues(encryptCustomer(customer), fields)).commit();
+  });
+  return workbook;
+}
+
+// A new customer record with a generated ID and created/updated times
+function newCustomerRecord(customer) {
+  const now = new Date().toISOString();
+  const createdAt = customer.createdAt || now;
+  return encryptCustomer({ ...customer, id: customer.id || crypto.randomUUID(), createdAt, updatedAt: customer.updatedAt || createdAt });
+}
+
+// Derive the encryption and lookup keys from CUSTOMER_DATA_KEY, or return null when it is not set
+function readCustomerDataKey(value) {
+  if (!value) {
+    console.warn('CUSTOMER_DATA_KEY is not set, so customer emails, phones and dates of birth are stored unencrypted.');
+    return null;
+  }
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    console.error('SERVER: CUSTOMER_DATA_KEY must be 32 bytes, as 64 hex characters or base64');
+    process.exit(1);
+  }
+  return {
+    encryptionKey: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'customer-data-encryption', 32)),
+    lookupKey: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'customer-data-lookup', 32)),
+  };
+}
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+// Encrypt a customer field with AES-256-GCM, as enc:v1:<iv>:<auth tag>:<ciphertext> in base64url.
+// Empty and already encrypted values, and every value when there is no key, are returned unchanged.
+function encryptField(value) {
+  if (!CUSTOMER_DATA_KEY || value === null || value === undefined || value === '' || isEncryptedValue(value)) {
+    return value;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', CUSTOMER_DATA_KEY.encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(value.toString(), 'utf8'), cipher.final()]);
+  return ENCRYPTED_VALUE_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+}
+
+// Decrypt a value from encryptField. Plain values, saved before encryption was turned on, are
+// returned unchanged. Throws rather than hand back ciphertext as if it were the customer's data.
+function decryptField(value) {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+  if (!CUSTOMER_DATA_KEY) {
+    throw new Error('Customer data is encrypted but CUSTOMER_DATA_KEY is not set');
+  }
+  try {
+    const [iv, authTag, ciphertext] = value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', CUSTOMER_DATA_KEY.encryptionKey, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Customer data cannot be decrypted with CUSTOMER_DATA_KEY');
+  }
+}
+
+// Key customers are looked up by email: a keyed hash of the normalized email, or without a key the
+// normalized email itself
+function emailLookup(email) {
+  const normalized = normalizeEmail(email);
+  return normalized && CUSTOMER_DATA_KEY ? crypto.createHmac('sha256', CUSTOMER_DATA_KEY.lookupKey).update(`email:${normalized}`).digest('hex') : normalized;
+}
+
+// Key customers are looked up by phone, like emailLookup
+function phoneLookup(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized && CUSTOMER_DATA_KEY ? crypto.createHmac('sha256', CUSTOMER_DATA_KEY.lookupKey).update(`phone:${normalized}`).digest('hex') : normalized;
+}
+
+// The lookups of a plain email and phone, as a store finds customers by them
+function lookupsOf({ email, phone }) {
+  return { emailLookup: emailLookup(email), phoneLookup: phoneLookup(phone) };
+}
+
+// The lookup of a stored value. An encrypted value keeps the lookup stored with it, and is only
+// decrypted when that is missing; a plain value, saved before encryption or edited by hand, gets a new one.
+function storedLookup(value, lookup, lookupFor) {
+  if (!value) {
+    return null;
+  }
+  if (isEncryptedValue(value)) {
+    return lookup || lookupFor(decryptField(value));
+  }
+  return lookupFor(value);
+}
+
+// The stored form of a customer, or of changes to one: ENCRYPTED_CUSTOMER_FIELDS encrypted and the
+// lookups of the email and phone alongside. Stores keep customers in this form, in memory too.
+function encryptCustomer(customer) {
+  const stored = { ...customer };
+  ENCRYPTED_CUSTOMER_FIELDS.filter(field => field in customer).forEach(field => {
+    stored[field] = encryptField(customer[field]);
+  });
+  if ('email' in customer) {
+    stored.emailLookup = storedLookup(customer.email, customer.emailLookup, emailLookup);
+  }
+  if ('phone' in customer) {
+    stored.phoneLookup = storedLookup(customer.phone, customer.phoneLookup, phoneLookup);
+  }
+  return stored;
+}
+
+// A stored customer, or changes to one, for an export or admin view: ENCRYPTED_CUSTOMER_FIELDS
+// decrypted and the lookups left out
+function decryptCustomer(stored) {
+  const customer = { ...stored };
+  ENCRYPTED_CUSTOMER_FIELDS.filter(field => field in stored).forEach(field => {
+    customer[field] = decryptField(stored[field]);
+  });
+  LOOKUP_FIELDS.forEach(field => delete customer[field]);
+  return customer;
+}
+
+// Whether a key is set but some of the stored customers still have plain values to encrypt
+function hasPlainCustomerData(storedCustomers) {
+  return !!CUSTOMER_DATA_KEY && storedCustomers.some(stored => stored &&
+    ENCRYPTED_CUSTOMER_FIELDS.some(field => stored[field] && !isEncryptedValue(stored[field])));
+}
+
+// Check that CUSTOMER_DATA_KEY decrypts the stored customers by decrypting the first encrypted value.
+// Throws when the key is missing or wrong, since lookups would then silently find nobody.
+function checkCustomerDataKey(storedCustomers) {
+  for (const stored of storedCustomers) {
+    const field = ENCRYPTED_CUSTOMER_FIELDS.find(name => isEncryptedValue(stored[name]));
+    if (field) {
+      decryptField(stored[field]);
+      return;
+    }
+  }
+}
+
+// Fill in the ID and times of a customer saved before they existed. The ID is derived from the
+// email (or phone) so the local file and the Drive copy are upgraded to the same ID. takenIds holds
+// the IDs of the customers before this one; a customer sharing an email with one of them, or
+// whose ID is already taken, gets the next ID derived from the email instead.
+function withLegacyDefaults(customer, takenIds = new Set()) {
+  if (!customer.id || takenIds.has(customer.id)) {
+    const key = normalizeEmail(decryptField(customer.email)) || normalizePhone(decryptField(customer.phone));
+    for (let occurrence = 0; !customer.id || takenIds.has(customer.id); occurrence++) {
+      const hash = crypto.createHash('sha256')
+        .update(occurrence === 0 ? `customer:${key}` : `customer:${key}:${occurrence}`)
+        .digest('hex');
+      customer.id = [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+    }
+  }
+  takenIds.add(customer.id);
+  if (!customer.createdAt) {
+    customer.createdAt = customer.spunAt || null;
+  }
+  if (!customer.updatedAt) {
+    customer.updatedAt = customer.createdAt;
+  }
+  return customer;
+}
+
+// Give customers without an ID, such as rows typed into the Google Drive copy, a derived ID and
+// timestamps like legacy customers, without touching the IDs already given out. Returns how many
+// needed one.
+function assignMissingIds(customers) {
+  const takenIds = new Set(customers.map(customer => customer.id).filter(Boolean));
+  const missing = customers.filter(customer => !customer.id);
+  missing.forEach(customer => withLegacyDefaults(customer, takenIds));
+  return missing.length;
+}
+
+// Index of stored customers by ID and by their email and phone lookups, so lookups do not scan the list
+function createCustomerIndex() {
+  const byId = new Map();
+  const byEmail = new Map();
+  const byPhone = new Map();
+
+  function addKey(map, key, customer) {
+    if (!key) return;
+    if (!map.has(key)) {
+      map.set(key, new Set());
+    }
+    map.get(key).add(customer);
+  }
+
+  function removeKey(map, key, customer) {
+    const customers = map.get(key);
+    if (!customers) return;
+    customers.delete(customer);
+    if (customers.size === 0) {
+      map.delete(key);
+    }
+  }
+
+  return {
+    add(customer) {
+      if (customer.id) byId.set(customer.id, customer);
+      addKey(byEmail, customer.emailLookup, customer);
+      addKey(byPhone, customer.phoneLookup, customer);
+    },
+
+    remove(customer) {
+      if (byId.get(customer.id) === customer) byId.delete(customer.id);
+      removeKey(byEmail, customer.emailLookup, customer);
+      removeKey(byPhone, customer.phoneLookup, customer);
+    },
+
+    rebuild(customers) {
+      byId.clear();
+      byEmail.clear();
+      byPhone.clear();
+      customers.forEach(customer => this.add(customer));
+    },
+
+    // The customer with the ID when one is given, otherwise customers with either lookup
+    find({ id, emailLookup: emailKey, phoneLookup: phoneKey }) {
+      if (id) {
+        return byId.has(id) ? [byId.get(id)] : [];
+      }
+      const found = new Set([
+        ...((emailKey && byEmail.get(emailKey)) || []),
+        ...((phoneKey && byPhone.get(phoneKey)) || []),
+      ]);
+      return Array.from(found);
+    },
+
+    findById(id) {
+      return (id && byId.get(id)) || null;
+    },
+  };
+}
+
+// A CustomerStore keeps the customer records. Customers are given to it with plain or stored values;
+// it holds and returns them in their stored form (see encryptCustomer), and only exports and admin
+// views decryptCustomer them. Every implementation provides:
+//   load()                         prepare the store on server start
+//   list()                         all customers, as objects keyed like CUSTOMER_COLUMNS
+//   findByEmailOrPhone(email, phone)  customers using either the email or the phone
+//   findByLookups({ emailLookup, phoneLookup })  customers with either lookup, such as a stored customer's
+//   findById(id)                   the customer with this ID, or null
+//   add(customer)                  save a new customer
+//   update(id, changes)            change the fields of the customer with this ID, returns it or null
+//   delete({ id, email, phone })   remove the customer with the ID, or every customer using the email
+//                                  or phone, returns how many
+//   addMany(customers)             save several new customers in a single write, returns them
+//   replaceAll(customers)          replace every customer, used when restoring a snapshot
+// Callers run read-then-write sequences inside withFileLock so they cannot interleave.
+
+// Store that keeps customers.xlsx as the system of record and syncs it with Google Drive.
+// Customers are held in memory with an index; new rows are appended to the cached workbook
+// and written in batches.
+function createExcelCustomerStore() {
+  let customers = [];
+  const index = createCustomerIndex();
+  // Worksheet row number of each customer
+  const rowNumbers = new Map();
+  // Workbook the in-memory list was read from. A download or merge replaces cachedWorkbook,
+  // and the list is then read again.
+  let indexedWorkbook = null;
+  // Customer field of each worksheet column
+  let sheetFields = [];
+
+  // Load the workbook, recreating an empty one if it cannot be read at all
+  async function loadWorkbook(label) {
+    try {
+      return await loadLocalExcel();
+    } catch (loadError) {
+      console.error(`${label}: Failed to load Excel file, forcing recreation:`, loadError.message, loadError.stack);
+      const workbook = await initializeExcel();
+      let fileCreated = false;
+      let writeAttempts = 0;
+      const maxWriteAttempts = 3;
+
+      while (writeAttempts < maxWriteAttempts && !fileCreated) {
+        try {
+          await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
+          await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+          await logFileStats(LOCAL_EXCEL_FILE, `${label}: After Forced Recreation`);
+          console.log(`${label}: Forced recreation of Excel file:`, LOCAL_EXCEL_FILE);
+          fileCreated = true;
+        } catch (writeError) {
+          writeAttempts++;
+          console.error(`${label}: Failed to recreate Excel file (attempt ${writeAttempts}/${maxWriteAttempts}):`, writeError.message, writeError.stack);
+          if (writeAttempts === maxWriteAttempts) {
+            throw new Error(`${label}: Failed to recreate Excel file after ${maxWriteAttempts} attempts: ${writeError.message}`);
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+      cachedWorkbook = workbook;
+      return workbook;
+    }
+  }
+
+  // Read the customers again if the cached workbook was replaced since they were last read
+  async function ensureLoaded(label) {
+    if (cachedWorkbook && cachedWorkbook === indexedWorkbook) {
+      return;
+    }
+    const workbook = await loadWorkbook(label);
+    const storedCustomers = readStoredCustomers(workbook.getWorksheet('Customers'));
+    checkCustomerDataKey(storedCustomers);
+    const plainCustomerData = hasPlainCustomerData(storedCustomers);
+    const idCount = assignMissingIds(storedCustomers);
+    customers = storedCustomers.map(encryptCustomer);
+    // Rows without customer data are left out, so rebuild the sheet with one row per customer
+    await rebuildWorkbook();
+    console.log(`STORE: Indexed ${customers.length} customers`);
+    if (idCount > 0) {
+      console.log(`MIGRATE: Gave ${idCount} customers without a Customer ID one`);
+      queueWorkbookSave('MIGRATE', async () => indexedWorkbook);
+    }
+    if (plainCustomerData) {
+      console.log('ENCRYPT: Encrypting customer data saved before CUSTOMER_DATA_KEY was set');
+      queueWorkbookSave('ENCRYPT', async () => indexedWorkbook);
+    }
+  }
+
+  // Build the cached workbook from the in-memory list and index it
+  async function rebuildWorkbook() {
+    cachedWorkbook = await buildCustomerWorkbook(customers);
+    indexedWorkbook = cachedWorkbook;
+    sheetFields = worksheetFields(cachedWorkbook.getWorksheet('Customers'));
+    index.rebuild(customers);
+    rowNumbers.clear();
+    customers.forEach((customer, position) => rowNumbers.set(customer, position + 2));
+  }
+
+  // Write a customer's row in place, or rebuild the sheet when the customer has a field it has no column for
+  async function writeRow(customer) {
+    if (Object.keys(customer).some(field => !sheetFields.includes(field))) {
+      await rebuildWorkbook();
+      return;
+    }
+    const sheet = cachedWorkbook.getWorksheet('Customers');
+    const row = rowNumbers.has(customer) ? sheet.getRow(rowNumbers.get(customer)) : sheet.addRow([]);
+    row.values = customerToRowValues(customer, sheetFields);
+    row.commit();
+    rowNumbers.set(customer, row.number);
+  }
+
+  // Rewrite the worksheet with contiguous rows and save it straight away
+  async function writeCustomers(nextCustomers, label) {
+    console.log(`${label}: Writing ${nextCustomers.length} customers to the worksheet`);
+    customers = nextCustomers;
+    await rebuildWorkbook();
+    await saveWorkbook(cachedWorkbook, label);
+  }
+
+  return {
+    name: 'excel',
+
+    async load() {
+      await initializeFromGoogleDrive();
+      await ensureLoaded('STORE');
+    },
+
+    async list() {
+      await ensureLoaded('STORE');
+      return customers.map(customer => ({ ...customer }));
+    },
+
+    async findByEmailOrPhone(email, phone) {
+      await ensureLoaded('STORE');
+      return index.find(lookupsOf({ email, phone })).map(customer => ({ ...customer }));
+    },
+
+    async findByLookups({ emailLookup: emailKey, phoneLookup: phoneKey }) {
+      await ensureLoaded('STORE');
+      return index.find({ emailLookup: emailKey, phoneLookup: phoneKey }).map(customer => ({ ...customer }));
+    },
+
+    async findById(id) {
+      await ensureLoaded('STORE');
+      const customer = index.findById(id);
+      return customer ? { ...customer } : null;
+    },
+
+    async add(newCustomer) {
+      await ensureLoaded('SUBMIT');
+      const customer = newCustomerRecord(newCustomer);
+      customers.push(customer);
+      index.add(customer);
+      await writeRow(customer);
+      queueWorkbookSave('SUBMIT', async () => indexedWorkbook);
+      return { ...customer };
+    },
+
+    async addMany(newCustomers) {
+      await ensureLoaded('IMPORT');
+      const added = newCustomers.map(newCustomerRecord);
+      await writeCustomers([...customers, ...added], 'IMPORT');
+      return added.map(customer => ({ ...customer }));
+    },
+
+    async update(id, changes) {
+      await ensureLoaded('UPDATE');
+      const customer = index.findById(id);
+      if (!customer) {
+        return null;
+      }
+      index.remove(customer);
+      Object.assign(customer, encryptCustomer(changes), { updatedAt: new Date().toISOString() });
+      index.add(customer);
+      await writeRow(customer);
+      queueWorkbookSave('UPDATE', async () => indexedWorkbook);
+      return { ...customer };
+    },
+
+    async delete(match) {
+      console.log('DELETE: Syncing with Google Drive before deletion...');
+      await downloadFromGoogleDrive();
+      await ensureLoaded('DELETE');
+      const removed = new Set(index.find(match.id ? { id: match.id } : lookupsOf(match)));
+      if (removed.size > 0) {
+        const rowsToKeep = customers.filter(customer => !removed.has(customer));
+        confirmRowDecrease(rowsToKeep.length);
+        await writeCustomers(rowsToKeep, 'DELETE');
+      }
+      return removed.size;
+    },
+
+    async replaceAll(replacement) {
+      confirmRowDecrease(replacement.length);
+      await writeCustomers(replacement.map(encryptCustomer), 'RESTORE');
+    },
+  };
+}
+
+// Store that keeps customers in an append-only JSON lines file. customers.xlsx is regenerated
+// from it after every change and uploaded to Google Drive as an export.
+function createJsonCustomerStore(filePath = path.join(DATA_DIR, 'customers.jsonl')) {
+  let customers = [];
+  const index = createCustomerIndex();
+  // IDs of every customer added so far. Customers imported before derived IDs were unique can
+  // share one, so replaying the log gives the later ones the same new IDs each time.
+  const addedIds = new Set();
+
+  // The customers an operation applies to: the one with its ID, or for operations logged before
+  // customers had IDs, every customer using its email
+  function operationTargets(operation) {
+    if (operation.id) {
+      const customer = index.findById(operation.id);
+      return customer ? [customer] : [];
+    }
+    return index.find({ emailLookup: emailLookup(operation.email) });
+  }
+
+  // A logged customer, or changes to one, with a plain phone number in E.164 form
+  function withE164Phone(logged) {
+    if (!logged.phone || isEncryptedValue(logged.phone)) {
+      return { ...logged };
+    }
+    return { ...logged, phone: parsePhone(logged.phone) || logged.phone };
+  }
+
+  // Whether a logged customer or changes hold a phone number logged before numbers were stored in E.164 form
+  function hasOldPhone(logged) {
+    return !!logged && !!logged.phone && !isEncryptedValue(logged.phone) && withE164Phone(logged).phone !== logged.phone;
+  }
+
+  // Apply one logged operation to the in-memory list, which holds customers in their stored form
+  function applyOperation(operation) {
+    if (operation.op === 'add') {
+      const customer = encryptCustomer(withLegacyDefaults(withE164Phone(operation.customer), addedIds));
+      customers.push(customer);
+      index.add(customer);
+    } else if (operation.op === 'update') {
+      const [customer] = operationTargets(operation);
+      if (customer) {
+        index.remove(customer);
+        Object.assign(customer, encryptCustomer(withE164Phone(operation.changes)));
+        index.add(customer);
+      }
+    } else if (operation.op === 'delete') {
+      const removed = new Set(operationTargets(operation));
+      if (removed.size > 0) {
+        removed.forEach(customer => index.remove(customer));
+        customers = customers.filter(existing => !removed.has(existing));
+      }
+    }
+  }
+
+  // The logged form of an operation, with the customer data it carries encrypted
+  function storedOperation(operation) {
+    if (operation.customer) {
+      return { ...operation, customer: encryptCustomer(operation.customer) };
+    }
+    if (operation.changes) {
+      return { ...operation, changes: encryptCustomer(operation.changes) };
+    }
+    return operation;
+  }
+
+  // Append operations to the log and flush them to disk before applying them
+  async function appendOperations(operations) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const at = new Date().toISOString();
+    const lines = operations.map(operation => JSON.stringify({ ...storedOperation(operation), at }) + '\n').join('');
+    const handle = await fs.open(filePath, 'a');
+    try {
+      await handle.appendFile(lines);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    operations.forEach(applyOperation);
+  }
+
+  // Replace the log with one add operation per customer, so no earlier operation is left in it
+  async function rewriteLog(label) {
+    const at = new Date().toISOString();
+    const lines = customers.map(customer => JSON.stringify({ ...storedOperation({ op: 'add', customer }), at }) + '\n').join('');
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(lines);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+    console.log(`${label}: Rewrote ${filePath} with ${customers.length} customers`);
+  }
+
+  // Regenerate customers.xlsx from the store and push it to Google Drive
+  async function exportWorkbook(label) {
+    const workbook = await buildCustomerWorkbook(customers);
+    await saveWorkbook(workbook, label);
+  }
+
+  // Regenerate customers.xlsx with the next batch of writes
+  function queueExport(label) {
+    queueWorkbookSave(label, () => buildCustomerWorkbook(customers));
+  }
+
+  return {
+    name: 'json',
+
+    async load() {
+      const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+      if (!fileExists) {
+        console.log(`STORE: ${filePath} not found, importing customers from the workbook...`);
+        await initializeFromGoogleDrive();
+        const imported = readStoredCustomers(cachedWorkbook.getWorksheet('Customers'));
+        await appendOperations(imported.map(customer => ({ op: 'add', customer: withLegacyDefaults(customer) })));
+        console.log(`STORE: Imported ${imported.length} customers into ${filePath}`);
+        return;
+      }
+
+      const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(line => line.trim());
+      const operations = [];
+      lines.forEach((line, index) => {
+        try {
+          const operation = JSON.parse(line);
+          operations.push(operation);
+          applyOperation(operation);
+        } catch (error) {
+          if (error.message.includes('CUSTOMER_DATA_KEY')) {
+            throw error;
+          }
+          console.error(`STORE: Skipping unreadable line ${index + 1} of ${filePath}:`, error.message);
+        }
+      });
+      console.log(`STORE: Loaded ${customers.length} customers from ${lines.length} operations in ${filePath}`);
+      checkCustomerDataKey(customers);
+
+      // Phone numbers logged before they were stored in E.164 form are normalized as the log is read,
+      // and customer data logged before CUSTOMER_DATA_KEY was set is encrypted. Either way the log is
+      // rewritten from the customers in memory, so none of the old values are left in it.
+      const loggedCustomers = operations.map(operation => operation.customer || operation.changes);
+      const plainOperations = hasPlainCustomerData(loggedCustomers) ||
+        (!!CUSTOMER_DATA_KEY && operations.some(operation => operation.email));
+      if (plainOperations) {
+        console.log('ENCRYPT: Encrypting customer data logged before CUSTOMER_DATA_KEY was set');
+      }
+      if (plainOperations || loggedCustomers.some(hasOldPhone)) {
+        const label = plainOperations ? 'ENCRYPT' : 'MIGRATE';
+        await rewriteLog(label);
+        queueExport(label);
+      }
+    },
+
+    async list() {
+      return customers.map(customer => ({ ...customer }));
+    },
+
+    async findByEmailOrPhone(email, phone) {
+      return index.find(lookupsOf({ email, phone })).map(customer => ({ ...customer }));
+    },
+
+    async findByLookups({ emailLookup: emailKey, phoneLookup: phoneKey }) {
+      return index.find({ emailLookup: emailKey, phoneLookup: phoneKey }).map(customer => ({ ...customer }));
+    },
+
+    async findById(id) {
+      const customer = index.findById(id);
+      return customer ? { ...customer } : null;
+    },
+
+    async add(newCustomer) {
+      const customer = newCustomerRecord(newCustomer);
+      await appendOperations([{ op: 'add', customer }]);
+      queueExport('SUBMIT');
+      return { ...customer };
+    },
+
+    async addMany(newCustomers) {
+      const added = newCustomers.map(newCustomerRecord);
+      await appendOperations(added.map(customer => ({ op: 'add', customer })));
+      await exportWorkbook('IMPORT');
+      return added.map(customer => ({ ...customer }));
+    },
+
+    async update(id, changes) {
+      const customer = index.findById(id);
+      if (!customer) {
+        return null;
+      }
+      await appendOperations([{ op: 'update', id, changes: { ...changes, updatedAt: new Date().toISOString() } }]);
+      queueExport('UPDATE');
+      return { ...customer };
+    },
+
+    async delete(match) {
+      const removed = index.find(match.id ? { id: match.id } : lookupsOf(match));
+      if (removed.length > 0) {
+        await appendOperations(removed.map(customer => ({ op: 'delete', id: customer.id })));
+        confirmRowDecrease(customers.length);
+        await exportWorkbook('DELETE');
+      }
+      return removed.length;
+    },
+
+    async replaceAll(replacement) {
+      await appendOperations([
+        ...customers.map(customer => ({ op: 'delete', id: customer.id })),
+        ...replacement.map(customer => ({ op: 'add', customer })),
+      ]);
+      confirmRowDecrease(customers.length);
+      await exportWorkbook('RESTORE');
+    },
+  };
+}
+
+// Pick the customer store from CUSTOMER_STORE ('excel' by default, or 'json')
+function createCustomerStore() {
+  const storeName = process.env.CUSTOMER_STORE || 'excel';
+  if (storeName === 'json') {
+    return createJsonCustomerStore();
+  }
+  if (storeName !== 'excel') {
+    console.warn(`STORE: Unknown CUSTOMER_STORE '${storeName}', falling back to excel`);
+  }
+  return createExcelCustomerStore();
+}
+const customerStore = createCustomerStore();
+
+// Find the prize or birthday voucher with this code, with the customer holding it
+async function findCustomerByVoucher(voucherCode) {
+  const customers = await customerStore.list();
+  for (const customer of customers) {
+    if (customer.voucherCode && customer.voucherCode.toUpperCase() === voucherCode) {
+      return { customer, prize: customer.prize, redeemedAt: customer.redeemedAt, redeemedField: 'redeemedAt' };
+    }
+    if (customer.birthdayVoucherCode && customer.birthdayVoucherCode.toUpperCase() === voucherCode) {
+      return { customer, prize: BIRTHDAY_OFFER, redeemedAt: customer.birthdayRedeemedAt, redeemedField: 'birthdayRedeemedAt' };
+    }
+  }
+  return null;
+}
+
+// Helper function to generate the duplicate error message
+function getDuplicateErrorMessage(emailExists, phoneExists) {
+  if (emailExists && phoneExists) {
+    return 'Email and phone number already exist';
+  } else if (emailExists) {
+    return 'Email already exists';
+  } else {
+    return 'Phone number already exists';
+  }
+}
+
+// Map a customer store failure to the response sent to the browser
+function storeErrorResponse(error, fallbackMessage) {
+  if (error.message.includes('Insufficient disk space')) {
+    return { status: 500, body: { success: false, error: 'Server disk space is full. Please contact support.' } };
+  } else if (error.message.includes('Permission denied')) {
+    return { status: 500, body: { success: false, error: 'File permission error. Please contact support.' } };
+  } else if (error.message.includes('Corrupt') || error.message.includes('Out of bounds')) {
+    console.log('STORE: Excel file appears to be corrupted, already recreated in main flow.');
+    return { status: 503, body: { success: false, error: 'File was corrupted, please try again.' } };
+  } else if (error.message.includes('Failed to initialize new Excel file')) {
+    return { status: 500, body: { success: false, error: 'Failed to create Excel file. Please contact support.' } };
+  } else if (error.message.includes('Failed to recreate Excel file')) {
+    return { status: 500, body: { success: false, error: 'Failed to recreate Excel file. Please contact support.' } };
+  }
+  return { status: 500, body: { success: false, error: fallbackMessage } };
+}
+
+// Sign a small JSON payload so it can be handed to the browser and verified later
+function signToken(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+// Verify a token created by signToken and return its payload, or null if it is invalid
+function verifyToken(token, purpose) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+  const [data, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    if (payload.purpose !== purpose) {
+      return null;
+    }
+    if (payload.exp && Date.now() > payload.exp) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Signature part of a voucher code, derived from its random part
+function voucherSignature(randomPart) {
+  const digest = crypto.createHmac('sha256', TOKEN_SECRET).update(`voucher:${randomPart}`).digest();
+  return Array.from(digest.subarray(0, 4), byte => VOUCHER_ALPHABET[byte % VOUCHER_ALPHABET.length]).join('');
+}
+
+// Generate a unique, signed voucher code such as 241-ABCD2345-WXYZ
+function generateVoucherCode() {
+  const randomPart = Array.from(crypto.randomBytes(8), byte => VOUCHER_ALPHABET[byte % VOUCHER_ALPHABET.length]).join('');
+  return `241-${randomPart}-${voucherSignature(randomPart)}`;
+}
+
+// Normalize a voucher code typed or scanned by staff, or return null if its signature does not match
+function parseVoucherCode(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.toUpperCase().replace(/\s+/g, '');
+  const match = /^241-([A-Z2-9]{8})-([A-Z2-9]{4})$/.exec(normalized);
+  if (!match || voucherSignature(match[1]) !== match[2]) {
+    return null;
+  }
+  return normalized;
+}
+
+// Link a customer can follow to stop marketing emails. It does not expire.
+function unsubscribeUrl(customer) {
+  return `${PUBLIC_URL}/unsubscribe.html?token=${encodeURIComponent(signToken({ purpose: 'unsubscribe', id: customer.id }))}`;
+}
+
+// Append a consent decision for a stored customer to the consent log, with the email as it is stored.
+// details are added to the entry, such as where a decision made outside the signup form came from.
+async function recordConsentEvent(event, customer, ip, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    event,
+    customerId: customer.id,
+    email: customer.email,
+    emailLookup: customer.emailLookup,
+    consentVersion: customer.consentVersion || null,
+    ip: ip || null,
+    ...details,
+  };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(CONSENT_LOG_FILE, JSON.stringify(entry) + '\n');
+  console.log(`CONSENT: Recorded ${event} for customer ${customer.id}`);
+}
+
+// Check a prize configuration sent by an owner. Returns { prizes } with optional fields filled in, or { error }.
+function validatePrizeConfig(prizes) {
+  if (!Array.isArray(prizes) || prizes.length === 0) {
+    return { error: 'At least one prize is required' };
+  }
+  const validated = [];
+  for (const [position, prize] of prizes.entries()) {
+    const label = `Prize ${position + 1}`;
+    if (!prize || typeof prize.name !== 'string' || !prize.name.trim() || prize.name.trim().length > 40) {
+      return { error: `${label}: name is required (up to 40 characters)` };
+    }
+    const name = prize.name.trim();
+    if (validated.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `${label}: ${name} is listed twice` };
+    }
+    if (prize.label !== undefined && prize.label !== null && (typeof prize.label !== 'string' || prize.label.trim().length > 20)) {
+      return { error: `${label}: label must be text of up to 20 characters` };
+    }
+    if (typeof prize.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(prize.color)) {
+      return { error: `${label}: color must be a hex color such as #FFD60A` };
+    }
+    const weight = prize.weight === undefined ? 1 : prize.weight;
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+      return { error: `${label}: weight must be a number of 0 or more` };
+    }
+    for (const limitField of ['dailyLimit', 'totalLimit']) {
+      const limit = prize[limitField];
+      if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+        return { error: `${label}: ${limitField} must be a whole number of 0 or more, or null` };
+      }
+    }
+    validated.push({
+      name,
+      label: (prize.label && prize.label.trim()) || name,
+      color: prize.color,
+      weight,
+      dailyLimit: prize.dailyLimit === undefined ? null : prize.dailyLimit,
+      totalLimit: prize.totalLimit === undefined ? null : prize.totalLimit,
+    });
+  }
+  if (!validated.some(prize => prize.weight > 0)) {
+    return { error: 'At least one prize needs a weight above 0' };
+  }
+  return { prizes: validated };
+}
+
+// Read a JSON configuration file saved through an admin API and check it with validate, which
+// returns { value } or { error }. Returns null when the file is missing or invalid.
+async function readConfigFile(filePath, validate, label) {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    console.log(`${label}: No configuration at ${filePath}, using the defaults`);
+    return null;
+  }
+  try {
+    const { value, error } = validate(JSON.parse(contents));
+    if (error) {
+      throw new Error(error);
+    }
+    console.log(`${label}: Loaded configuration from ${filePath}`);
+    return value;
+  } catch (error) {
+    console.error(`${label}: Ignoring invalid configuration in ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+// Replace a JSON configuration file without leaving a half-written file behind
+async function writeConfigFile(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempFile = `${filePath}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(value, null, 2));
+  await fs.rename(tempFile, filePath);
+}
+
+// Load the saved prize configuration, keeping the default prizes if the file is missing or invalid
+async function loadPrizeConfig() {
+  const prizes = await readConfigFile(PRIZE_CONFIG_FILE, config => {
+    const { prizes: value, error } = validatePrizeConfig(config);
+    return { value, error };
+  }, 'PRIZES');
+  if (prizes) {
+    prizeConfig = prizes;
+  }
+}
+
+// Save a validated prize configuration and use it for the next spins
+async function savePrizeConfig(prizes) {
+  await writeConfigFile(PRIZE_CONFIG_FILE, prizes);
+  prizeConfig = prizes;
+}
+
+// Parse a campaign start or end given as an ISO time or a YYYY-MM-DD day. A day starts at local
+// midnight, and an end day runs to the end of that day.
+function parseCampaignTime(value, isEnd) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const dayMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const time = dayMatch
+    ? new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]) + (isEnd ? 1 : 0))
+    : new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// Check a campaign list sent by an owner. Each campaign has an id, a name, a startsAt and endsAt
+// (endsAt null for no end), its own prizes (null to use the wheel prizes) and optional landing
+// copy { headline, intro }. Campaigns may not overlap. Returns { campaigns } in start order, or { error }.
+function validateCampaignConfig(campaigns) {
+  if (!Array.isArray(campaigns)) {
+    return { error: 'Campaigns must be a list' };
+  }
+  const validated = [];
+  for (const [position, campaign] of campaigns.entries()) {
+    const label = `Campaign ${position + 1}`;
+    if (!campaign || typeof campaign.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(campaign.id)) {
+      return { error: `${label}: id must be 1-40 lowercase letters, digits or hyphens` };
+    }
+    if (validated.some(existing => existing.id === campaign.id)) {
+      return { error: `${label}: id ${campaign.id} is used twice` };
+    }
+    if (typeof campaign.name !== 'string' || !campaign.name.trim() || campaign.name.trim().length > 80) {
+      return { error: `${label}: name is required (up to 80 characters)` };
+    }
+    const startsAt = parseCampaignTime(campaign.startsAt, false);
+    if (!startsAt) {
+      return { error: `${label}: startsAt must be a date (YYYY-MM-DD) or time` };
+    }
+    const endsAt = campaign.endsAt === undefined || campaign.endsAt === null ? null : parseCampaignTime(campaign.endsAt, true);
+    if (endsAt === null && campaign.endsAt !== undefined && campaign.endsAt !== null) {
+      return { error: `${label}: endsAt must be a date (YYYY-MM-DD), a time or null` };
+    }
+    if (endsAt && endsAt <= startsAt) {
+      return { error: `${label}: endsAt must be after startsAt` };
+    }
+    let prizes = null;
+    if (campaign.prizes !== undefined && campaign.prizes !== null) {
+      const prizeResult = validatePrizeConfig(campaign.prizes);
+      if (prizeResult.error) {
+        return { error: `${label}: ${prizeResult.error}` };
+      }
+      prizes = prizeResult.prizes;
+    }
+    const copy = {};
+    for (const field of ['headline', 'intro']) {
+      const text = campaign.copy && campaign.copy[field];
+      if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > 500)) {
+        return { error: `${label}: copy.${field} must be text of up to 500 characters` };
+      }
+      copy[field] = text ? text.trim() : null;
+    }
+    validated.push({
+      id: campaign.id,
+      name: campaign.name.trim(),
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt ? endsAt.toISOString() : null,
+      prizes,
+      copy,
+    });
+  }
+
+  validated.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  for (let i = 1; i < validated.length; i++) {
+    const previous = validated[i - 1];
+    if (!previous.endsAt || previous.endsAt > validated[i].startsAt) {
+      return { error: `Campaigns ${previous.id} and ${validated[i].id} overlap` };
+    }
+  }
+  return { campaigns: validated };
+}
+
+// Load the saved campaigns, keeping the single always-open promotion if the file is missing or invalid
+async function loadCampaignConfig() {
+  const campaigns = await readConfigFile(CAMPAIGN_CONFIG_FILE, config => {
+    const { campaigns: value, error } = validateCampaignConfig(config);
+    return { value, error };
+  }, 'CAMPAIGNS');
+  if (campaigns) {
+    campaignConfig = campaigns;
+  }
+}
+
+// Save a validated campaign list and use it for the next signups
+async function saveCampaignConfig(campaigns) {
+  await writeConfigFile(CAMPAIGN_CONFIG_FILE, campaigns);
+  campaignConfig = campaigns;
+}
+
+// Whether signups are open right now: { open, campaign, message }. campaign is the running campaign,
+// or null when no campaigns are configured; message explains why signups are closed.
+function campaignStatus(now = new Date()) {
+  if (campaignConfig.length === 0) {
+    return { open: true, campaign: null, message: null };
+  }
+  const time = now.toISOString();
+  const campaign = campaignConfig.find(candidate => candidate.startsAt <= time && (!candidate.endsAt || time < candidate.endsAt));
+  if (campaign) {
+    return { open: true, campaign, message: null };
+  }
+  const next = campaignConfig.find(candidate => candidate.startsAt > time);
+  const message = next
+    ? `Our next promotion starts on ${new Date(next.startsAt).toDateString()}. Please come back then!`
+    : 'This promotion has ended. Thanks for your interest!';
+  return { open: false, campaign: null, message };
+}
+
+// Check a location list sent by an owner. Each location has an id, a name, optional links
+// { instagram, review, website } and its own prizes (null to use the wheel prizes).
+// Returns { locations } or { error }.
+function validateLocationConfig(locations) {
+  if (!Array.isArray(locations)) {
+    return { error: 'Locations must be a list' };
+  }
+  const validated = [];
+  for (const [position, location] of locations.entries()) {
+    const label = `Location ${position + 1}`;
+    if (!location || typeof location.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(location.id)) {
+      return { error: `${label}: id must be 1-40 lowercase letters, digits or hyphens` };
+    }
+    if (validated.some(existing => existing.id === location.id)) {
+      return { error: `${label}: id ${location.id} is used twice` };
+    }
+    if (typeof location.name !== 'string' || !location.name.trim() || location.name.trim().length > 80) {
+      return { error: `${label}: name is required (up to 80 characters)` };
+    }
+    const links = {};
+    for (const linkName of Object.keys(DEFAULT_LOCATION_LINKS)) {
+      const link = location.links && location.links[linkName];
+      if (link === undefined || link === null || link === '') continue;
+      if (typeof link !== 'string' || !/^https:\/\/\S+$/.test(link)) {
+        return { error: `${label}: links.${linkName} must be an https:// URL` };
+      }
+      links[linkName] = link;
+    }
+    let prizes = null;
+    if (location.prizes !== undefined && location.prizes !== null) {
+      const prizeResult = validatePrizeConfig(location.prizes);
+      if (prizeResult.error) {
+        return { error: `${label}: ${prizeResult.error}` };
+      }
+      prizes = prizeResult.prizes;
+    }
+    validated.push({ id: location.id, name: location.name.trim(), links, prizes });
+  }
+  return { locations: validated };
+}
+
+// Load the saved locations, keeping none if the file is missing or invalid
+async function loadLocationConfig() {
+  const locations = await readConfigFile(LOCATION_CONFIG_FILE, config => {
+    const { locations: value, error } = validateLocationConfig(config);
+    return { value, error };
+  }, 'LOCATIONS');
+  if (locations) {
+    locationConfig = locations;
+  }
+}
+
+// Save a validated location list and use it for the next signups
+async function saveLocationConfig(locations) {
+  await writeConfigFile(LOCATION_CONFIG_FILE, locations);
+  locationConfig = locations;
+}
+
+// The configured location with this id, or null
+function findLocation(locationId) {
+  return (locationId && locationConfig.find(location => location.id === locationId)) || null;
+}
+
+// Social and review links for customers of a location
+function locationLinks(locationId) {
+  const location = findLocation(locationId);
+  return { ...DEFAULT_LOCATION_LINKS, ...(location ? location.links : {}) };
+}
+
+// The prizes an entry spins for, and which entries count against their stock. A campaign's own
+// prizes come first, then the location's, then the wheel prizes. Each prize set only counts the
+// entries that spin for it.
+function entryPrizes({ campaign: campaignId, location: locationId }) {
+  const campaign = campaignId && campaignConfig.find(candidate => candidate.id === campaignId);
+  if (campaign && campaign.prizes) {
+    return { prizes: campaign.prizes, inScope: customer => customer.campaign === campaign.id };
+  }
+  const location = findLocation(locationId);
+  if (location && location.prizes) {
+    return { prizes: location.prizes, inScope: customer => customer.location === location.id };
+  }
+  return { prizes: prizeConfig, inScope: customer => entryPrizes(customer).prizes === prizeConfig };
+}
+
+// How many of each prize have been won today (local day) and in total, and whether any are left.
+// Only entries for which inScope returns true are counted. Customers are only read when a prize
+// has a stock limit.
+async function prizeStock(prizes, inScope = () => true) {
+  const limited = prizes.some(prize => prize.dailyLimit !== null || prize.totalLimit !== null);
+  const customers = limited ? (await customerStore.list()).filter(inScope) : [];
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+  return prizes.map(prize => {
+    const wins = customers.filter(customer => customer.prize === prize.name);
+    const wonToday = wins.filter(customer => customer.spunAt && new Date(customer.spunAt) >= startOfDay).length;
+    const wonTotal = wins.length;
+    const inStock = (prize.dailyLimit === null || wonToday < prize.dailyLimit) &&
+      (prize.totalLimit === null || wonTotal < prize.totalLimit);
+    return { ...prize, wonToday: limited ? wonToday : null, wonTotal: limited ? wonTotal : null, available: prize.weight > 0 && inStock };
+  });
+}
+
+// Draw one of the prizes still in stock, weighted by prize weight, or null when none are left
+function drawPrize(stock) {
+  const available = stock.filter(prize => prize.available);
+  const totalWeight = available.reduce((sum, prize) => sum + prize.weight, 0);
+  if (totalWeight <= 0) {
+    return null;
+  }
+  let ticket = (crypto.randomInt(1000000) / 1000000) * totalWeight;
+  for (const prize of available) {
+    ticket -= prize.weight;
+    if (ticket < 0) {
+      return prize;
+    }
+  }
+  return available[available.length - 1];
+}
+
+// Sliding-window counter of attempts per key. hit(key) records an attempt and returns how many
+// the key made in the window, including this one.
+function createRateLimiter(limit, windowMs) {
+  const attempts = new Map();
+  let lastPrune = Date.now();
+
+  return {
+    limit,
+
+    // How many times the key was recorded in the window
+    count(key) {
+      const now = Date.now();
+      return (attempts.get(key) || []).filter(time => now - time < windowMs).length;
+    },
+
+    // Record the key, returning how many times it was recorded in the window
+    hit(key) {
+      const now = Date.now();
+      if (now - lastPrune > windowMs) {
+        attempts.forEach((times, existingKey) => {
+          if (now - times[times.length - 1] > windowMs) attempts.delete(existingKey);
+        });
+        lastPrune = now;
+      }
+      const recent = (attempts.get(key) || []).filter(time => now - time < windowMs);
+      recent.push(now);
+      attempts.set(key, recent);
+      return recent.length;
+    },
+  };
+}
+
+// Check a list of email domains sent by an owner. Returns { domains } lowercased and sorted, or { error }.
+function validateDomainList(domains) {
+  if (!Array.isArray(domains)) {
+    return { error: 'Domains must be a list' };
+  }
+  const validated = new Set();
+  for (const domain of domains) {
+    if (typeof domain !== 'string' || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain.trim())) {
+      return { error: `Invalid domain ${domain}` };
+    }
+    validated.add(domain.trim().toLowerCase());
+  }
+  return { domains: Array.from(validated).sort() };
+}
+
+// Load the saved blocklist, keeping the default disposable domains if the file is missing or invalid
+async function loadBlockedDomains() {
+  const domains = await readConfigFile(BLOCKED_DOMAINS_FILE, config => {
+    const { domains: value, error } = validateDomainList(config);
+    return { value, error };
+  }, 'ABUSE');
+  if (domains) {
+    blockedEmailDomains = domains;
+  }
+}
+
+// Whether an email uses a blocked domain or a subdomain of one
+function isBlockedEmailDomain(email) {
+  const domain = (email || '').toString().split('@').pop().trim().toLowerCase();
+  return blockedEmailDomains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+}
+
+// Append a rejected signup to the log admins review through /admin/rejected-signups
+async function recordRejectedSignup(req, reason) {
+  const entry = {
+    at: new Date().toISOString(),
+    reason,
+    ip: req.ip,
+    deviceId: typeof req.body.deviceId === 'string' ? req.body.deviceId.slice(0, 64) : null,
+    email: typeof req.body.email === 'string' ? encryptField(req.body.email.slice(0, 254)) : null,
+    userAgent: (req.get('User-Agent') || '').slice(0, 200),
+  };
+  console.log(`ABUSE: Rejected signup from ${entry.ip} (${reason})`);
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.appendFile(REJECTED_SIGNUPS_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('ABUSE: Failed to record rejected signup:', error.message);
+  }
+}
+
+// Run the abuse checks on a signup: rate limits per IP and device, the honeypot field, the signed
+// form token and how quickly the form was filled in, and disposable email domains. Returns
+// { status, body } to reject the signup with, or null to let it through.
+async function checkSignupAbuse(req) {
+  const deviceId = signupDeviceId(req);
+  const ipLimited = submitsByIp.count(req.ip) >= submitsByIp.limit;
+  if (ipLimited || (deviceId && submitsByDevice.count(deviceId) >= submitsByDevice.limit)) {
+    // Only the first attempt over the limit is logged, so a flood does not flood the log
+    if (rateLimitRejections.hit(ipLimited ? `ip:${req.ip}` : `device:${deviceId}`) === 1) {
+      await recordRejectedSignup(req, ipLimited ? 'rate-limit-ip' : 'rate-limit-device');
+    }
+    return { status: 429, body: { success: false, error: 'Too many signups from this device. Please try again later.' } };
+  }
+
+  // Bots fill in every field, including the one hidden from people. They get a normal-looking reply.
+  if (req.body.website) {
+    await recordRejectedSignup(req, 'honeypot');
+    return { status: 200, body: { success: true, otpRequired: true, email: req.body.email } };
+  }
+
+  const form = verifyToken(req.body.formToken, 'form');
+  if (!form || Date.now() - form.issuedAt > SUBMIT_FORM_TTL_MS) {
+    await recordRejectedSignup(req, 'form-token');
+    return { status: 400, body: { success: false, error: 'This form has expired. Please reload the page and try again.' } };
+  }
+  if (Date.now() - form.issuedAt < SUBMIT_MIN_FILL_MS) {
+    await recordRejectedSignup(req, 'too-fast');
+    return { status: 400, body: { success: false, error: 'That was quick! Please check your details and try again.' } };
+  }
+
+  if (isBlockedEmailDomain(req.body.email)) {
+    await recordRejectedSignup(req, 'disposable-email');
+    return { status: 400, body: { success: false, error: 'Please use a permanent email address' } };
+  }
+  return null;
+}
+
+// The device ID index.html sends with a signup, or null when it is missing or malformed
+function signupDeviceId(req) {
+  return typeof req.body.deviceId === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(req.body.deviceId) ? req.body.deviceId : null;
+}
+
+// Count an accepted signup towards the rate limits. Rejected attempts do not count, so visitors
+// sharing an IP are not locked out by each other's typos.
+function countAcceptedSignup(req) {
+  const deviceId = signupDeviceId(req);
+  submitsByIp.hit(req.ip);
+  if (deviceId) {
+    submitsByDevice.hit(deviceId);
+  }
+}
+
+// Keep the workbook, server code and data directory out of the static file server
+function blockPrivateFiles(req, res, next) {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(req.path);
+  } catch (error) {
+    return res.status(400).send('Bad request');
+  }
+  if (PRIVATE_FILE_PATTERN.test(path.posix.normalize(requestPath))) {
+    console.log(`STATIC: Blocked request for private file ${requestPath}`);
+    return res.status(404).send('Not found');
+  }
+  next();
+}
+
+// Check a password against a hash printed by `node server.js hash-password`
+async function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, hashHex] = (passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Read the admin session from the session cookie or an Authorization: Bearer header
+function getAdminSession(req) {
+  let token = null;
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    token = authorization.slice(7).trim();
+  } else {
+    (req.headers.cookie || '').split(';').forEach(cookie => {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === SESSION_COOKIE) {
+        token = decodeURIComponent(value.join('='));
+      }
+    });
+  }
+  const session = verifyToken(token, 'session');
+  // Tokens without a session ID predate sign-out revocation and cannot be revoked, so are refused
+  if (!session || !session.sid || revokedSessions.has(session.sid) || !adminUsers.some(user => user.username === session.username && user.role === session.role)) {
+    return null;
+  }
+  return session;
+}
+
+// Middleware allowing only signed-in admins with at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    const session = getAdminSession(req);
+    if (!session) {
+      console.log(`AUTH: Rejected unauthenticated ${req.method} ${req.path}`);
+      return res.status(401).json({ success: false, error: 'Please sign in' });
+    }
+    if (ROLES.indexOf(session.role) < ROLES.indexOf(role)) {
+      console.log(`AUTH: Rejected ${session.username} (${session.role}) for ${req.method} ${req.path}`);
+      return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+    }
+    req.admin = session;
+    next();
+  };
+}
+
+// Queue a task behind the file lock. A failed task does not block the tasks queued after it.
+function withFileLock(task) {
+  const run = fileLockPromise.then(task);
+  fileLockPromise = run.catch(() => {});
+  return run;
+}
+
+// Queue a write of customers.xlsx. Writes within PERSIST_DEBOUNCE_MS of each other are written
+// together; build() returns the workbook to write and is only called when the batch is flushed.
+function queueWorkbookSave(label, build) {
+  localChangesPending = true;
+  pendingSave = { label: pendingSave && pendingSave.label !== label ? 'BATCH' : label, build };
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    withFileLock(flushPendingSave).catch(error => {
+      console.error('PERSIST: Failed to write batched changes, they will be retried with the next write or sync:', error.message, error.stack);
+    });
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+// Write the queued workbook now. Call inside withFileLock.
+async function flushPendingSave() {
+  if (!pendingSave) return;
+  const { label, build } = pendingSave;
+  pendingSave = null;
+  try {
+    await saveWorkbook(await build(), label);
+  } catch (error) {
+    if (!pendingSave) {
+      pendingSave = { label, build };
+    }
+    throw error;
+  }
+}
+
+// Upload to Google Drive once, at most UPLOAD_DEBOUNCE_MS after the first change of a batch
+function scheduleDriveUpload(label) {
+  if (uploadTimer) return;
+  uploadTimer = setTimeout(() => {
+    uploadTimer = null;
+    withFileLock(() => uploadToGoogleDrive()).then(() => {
+      console.log(`${label}: Sync to Google Drive completed successfully.`);
+    }).catch(syncError => {
+      console.error(`${label}: Sync to Google Drive failed:`, syncError.message, syncError.stack);
+      console.log(`${label}: Changes will be synced during the next periodic sync.`);
+    });
+  }, UPLOAD_DEBOUNCE_MS);
+}
+
+// Write the workbook to disk with retries, then schedule an upload to Google Drive
+async function saveWorkbook(workbook, label) {
+  pendingSave = null;
+  await takeSnapshot(label.toLowerCase());
+  await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE);
+  let writeAttempts = 0;
+  const maxWriteAttempts = 3;
+  let fileWritten = false;
+  await logFileStats(LOCAL_EXCEL_FILE, `${label}: Before Save`);
+  while (writeAttempts < maxWriteAttempts && !fileWritten) {
+    try {
+      await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
+      console.log(`${label}: Data successfully saved to local Excel file:`, LOCAL_EXCEL_FILE);
+      fileWritten = true;
+    } catch (writeError) {
+      writeAttempts++;
+      console.error(`${label}: Failed to write to Excel file (attempt ${writeAttempts}/${maxWriteAttempts}):`, writeError.message, writeError.stack);
+      if (writeAttempts === maxWriteAttempts) {
+        throw new Error(`${label}: Failed to write to Excel file after maximum attempts`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  await logFileStats(LOCAL_EXCEL_FILE, `${label}: After Save`);
+  const sheet = workbook.getWorksheet('Customers');
+  savedFileRows = { md5: await fileMd5(LOCAL_EXCEL_FILE), count: sheet ? readStoredCustomers(sheet).length : 0 };
+
+  cachedWorkbook = workbook;
+  localChangesPending = true;
+  console.log(`${label}: Scheduling sync to Google Drive...`);
+  scheduleDriveUpload(label);
+}
+
+// Read the search and filter parameters of a customer list request. Returns { filters } or { error }.
+function parseCustomerFilters(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const filters = { search: (query.q || '').toString().trim().toLowerCase() };
+  for (const field of ['from', 'to']) {
+    if (!query[field]) continue;
+    if (!datePattern.test(query[field]) || isNaN(new Date(`${query[field]}T00:00:00`).getTime())) {
+      return { error: `Invalid ${field} date, expected YYYY-MM-DD` };
+    }
+    filters[field] = new Date(`${query[field]}T00:00:00`);
+  }
+  if (filters.to) {
+    filters.to.setDate(filters.to.getDate() + 1);
+  }
+  if (query.prize) {
+    filters.prize = query.prize.toString();
+  }
+  if (query.campaign) {
+    filters.campaign = query.campaign.toString();
+  }
+  if (query.location) {
+    filters.location = query.location.toString();
+  }
+  if (query.consent) {
+    if (!['yes', 'no', 'all'].includes(query.consent)) {
+      return { error: 'Invalid consent filter, expected yes, no or all' };
+    }
+    filters.consent = query.consent;
+  }
+  return { filters };
+}
+
+// Customers matching the search text, signup date range (local days, inclusive), prize ('none' for
+// no spin yet), campaign and location ('none' for entries without one) and marketing consent
+// ('yes' for opted in, 'no' for opted out)
+function filterCustomers(customers, { search, from, to, prize, campaign, location, consent }) {
+  const searchDigits = search ? search.replace(/\D/g, '') : '';
+  return customers.filter(customer => {
+    if (search) {
+      const matchesText = [customer.name, customer.email].some(value => (value || '').toLowerCase().includes(search));
+      const matchesPhone = searchDigits && (customer.phone || '').replace(/\D/g, '').includes(searchDigits);
+      if (!matchesText && !matchesPhone) return false;
+    }
+    if (from || to) {
+      const createdAt = customer.createdAt ? new Date(customer.createdAt) : null;
+      if (!createdAt || (from && createdAt < from) || (to && createdAt >= to)) return false;
+    }
+    if (campaign && (campaign === 'none' ? Boolean(customer.campaign) : customer.campaign !== campaign)) {
+      return false;
+    }
+    if (location && (location === 'none' ? Boolean(customer.location) : customer.location !== location)) {
+      return false;
+    }
+    if (consent && consent !== 'all' && customer.marketingConsent !== consent) {
+      return false;
+    }
+    if (prize === 'none') {
+      return !customer.prize;
+    }
+    return !prize || customer.prize === prize;
+  });
+}
+
+// Sort customers by a field, keeping customers without a value last
+function sortCustomers(customers, field, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  return customers.slice().sort((a, b) => {
+    if (!a[field] || !b[field]) {
+      return (a[field] ? 0 : 1) - (b[field] ? 0 : 1);
+    }
+    return direction * a[field].localeCompare(b[field], undefined, { sensitivity: 'base', numeric: true });
+  });
+}
+
+// Resolve the columns requested for an export, given as a comma-separated list of field keys or
+// column headers. Returns { columns } with the header and key of each, or { error }. The lookup
+// hashes only exist in storage, so they are never exported.
+function parseExportColumns(requested, fields) {
+  const columns = [...CUSTOMER_COLUMNS, ...EXPORT_EXTRA_COLUMNS];
+  const available = fields
+    .filter(key => !LOOKUP_FIELDS.includes(key))
+    .map(key => columns.find(column => column.key === key) || { header: key, key });
+  if (!requested) {
+    return { columns: available };
+  }
+  const selected = [];
+  for (const name of requested.toString().split(',').map(value => value.trim()).filter(Boolean)) {
+    const column = available.find(candidate => candidate.key === name || candidate.header.toLowerCase() === name.toLowerCase());
+    if (!column) {
+      return { error: `Unknown column '${name}'` };
+    }
+    if (!selected.includes(column)) {
+      selected.push(column);
+    }
+  }
+  return selected.length > 0 ? { columns: selected } : { error: 'No columns selected' };
+}
+
+// A value quoted for a CSV cell when it contains a separator, quote or line break. Values a
+// spreadsheet would run as a formula get a leading ' so they open as text, except E.164 phone numbers.
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^\+\d{8,15}$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render customers in an export format, keeping only the given columns. An xlsx export can have
+// one worksheet per location instead of a single Customers worksheet.
+async function renderCustomerExport(customers, columns, format, sheetPerLocation = false) {
+  if (format === 'json') {
+    return JSON.stringify(customers.map(customer => Object.fromEntries(
+      columns.map(({ key }) => [key, customer[key] === undefined ? null : customer[key]]),
+    )), null, 2);
+  }
+  if (format === 'csv') {
+    const lines = [columns.map(({ header }) => csvCell(header)).join(',')];
+    customers.forEach(customer => lines.push(columns.map(({ key }) => csvCell(customer[key])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+  }
+  const workbook = new ExcelJS.Workbook();
+  // Sheets by location ID (or the unknown location as saved), and the names given out so far
+  const sheets = new Map();
+  const sheetNames = new Set();
+  const sheetFor = customer => {
+    const location = sheetPerLocation ? findLocation(customer.location) : null;
+    const sheetKey = !sheetPerLocation ? '' : location ? location.id : customer.location || '';
+    if (!sheets.has(sheetKey)) {
+      // Worksheet names are limited to 31 characters, cannot contain []:*?/\ and must be unique
+      // ignoring case, so names cut to the same text are numbered
+      const baseName = !sheetPerLocation ? 'Customers'
+        : (location ? location.name : customer.location || 'No Location').replace(/[[\]:*?/\\]/g, ' ');
+      let sheetName = baseName.slice(0, 31);
+      for (let copy = 2; sheetNames.has(sheetName.toLowerCase()); copy++) {
+        const suffix = ` (${copy})`;
+        sheetName = baseName.slice(0, 31 - suffix.length) + suffix;
+      }
+      sheetNames.add(sheetName.toLowerCase());
+      const sheet = workbook.addWorksheet(sheetName);
+      sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 20 }));
+      sheets.set(sheetKey, sheet);
+    }
+    return sheets.get(sheetKey);
+  };
+  if (!sheetPerLocation) {
+    sheetFor({});
+  }
+  customers.forEach(customer => {
+    sheetFor(customer).addRow(customerToRowValues(customer, columns.map(({ key }) => key))).commit();
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Whether an email address is well formed: a dot-atom local part (RFC 5322, without the rarely
+// used quoted form) and a domain of letter, digit and hyphen labels ending in an alphabetic or
+// punycode top-level domain, within the RFC 5321 length limits
+function isValidEmail(email) {
+  if (typeof email !== 'string' || email.length > 254) {
+    return false;
+  }
+  const at = email.lastIndexOf('@');
+  const localPart = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (at < 1 || localPart.length > 64 || domain.length > 253) {
+    return false;
+  }
+  const atom = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+";
+  if (!new RegExp(`^${atom}(\\.${atom})*$`).test(localPart)) {
+    return false;
+  }
+  const labels = domain.split('.');
+  return labels.length >= 2 &&
+    labels.every(label => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label)) &&
+    /^([A-Za-z]{2,63}|xn--[A-Za-z0-9-]{1,59})$/.test(labels[labels.length - 1]);
+}
+
+// Edit distance between two strings, counting an insertion, deletion, substitution or swap of
+// two neighbouring characters as one edit (optimal string alignment distance)
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+// Suggest a corrected address when an email's domain looks like a typo of a popular one
+// ("gmial.com", "hotmail.con"). Returns the suggested address, or null.
+function suggestEmail(email) {
+  const at = (email || '').lastIndexOf('@');
+  if (at < 1) {
+    return null;
+  }
+  const domain = email.slice(at + 1).toLowerCase();
+  if (popularEmailDomains.includes(domain)) {
+    return null;
+  }
+  // Short domains get one edit, so real domains such as "shaw.com" are not taken for "shaw.ca"
+  const maxDistance = domain.length > 9 ? 2 : 1;
+  let best = null;
+  popularEmailDomains.forEach(popular => {
+    const distance = editDistance(domain, popular);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { popular, distance };
+    }
+  });
+  return best ? `${email.slice(0, at)}@${best.popular}` : null;
+}
+
+// Load the saved popular email domains, keeping the defaults if the file is missing or invalid
+async function loadPopularEmailDomains() {
+  const domains = await readConfigFile(EMAIL_DOMAINS_FILE, config => {
+    const { domains: value, error } = validateDomainList(config);
+    return { value, error };
+  }, 'EMAIL');
+  if (domains) {
+    popularEmailDomains = domains;
+  }
+}
+
+// Fill in the placeholder and error messages a form field leaves out
+function completeFormField(field) {
+  const name = field.label.toLowerCase();
+  return {
+    ...field,
+    placeholder: field.placeholder || field.label,
+    messages: {
+      required: `Please enter ${name}`,
+      invalid: field.type === 'select' ? `Please choose ${name}` : `Please check ${name}`,
+      tooLong: `${field.label} must be ${field.maxLength} characters or fewer`,
+      ...field.messages,
+    },
+  };
+}
+
+// Whether a name is one of the customer fields the server keeps itself, by key or column header.
+// Custom field values are stored under their header, so a custom field cannot use one.
+function isBuiltInCustomerField(name) {
+  const lowerName = name.toLowerCase();
+  return [...CUSTOMER_COLUMNS, ...EXPORT_EXTRA_COLUMNS].some(column =>
+    column.key.toLowerCase() === lowerName || column.header.toLowerCase() === lowerName) ||
+    LOOKUP_FIELDS.some(field => field.toLowerCase() === lowerName);
+}
+
+// Check the custom form fields sent by an owner. Each needs a key (letters and digits, starting with
+// a lowercase letter), a label and a type from CUSTOM_FIELD_TYPES, and can have required, maxLength,
+// placeholder, pattern (a regular expression the value must match), options (for select fields),
+// messages and header (the worksheet column, the label by default). Returns { fields } or { error }.
+function validateCustomFormFields(fields) {
+  if (!Array.isArray(fields)) {
+    return { error: 'Fields must be a list' };
+  }
+  const usedKeys = new Set([...CUSTOMER_COLUMNS.map(column => column.key), ...RESERVED_FORM_KEYS]);
+  const usedHeaders = new Set();
+  const validated = [];
+  for (const field of fields) {
+    if (!field || typeof field.key !== 'string' || !/^[a-z][A-Za-z0-9]{0,39}$/.test(field.key)) {
+      return { error: 'Each field needs a key of letters and digits starting with a lowercase letter' };
+    }
+    if (usedKeys.has(field.key)) {
+      return { error: `Field key ${field.key} is already used` };
+    }
+    if (typeof field.label !== 'string' || !field.label.trim()) {
+      return { error: `Field ${field.key} needs a label` };
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+      return { error: `Field ${field.key} must have type ${CUSTOM_FIELD_TYPES.join(' or ')}` };
+    }
+    const header = (field.header === undefined ? field.label : field.header).toString().trim();
+    if (!header || usedHeaders.has(header.toLowerCase()) || isBuiltInCustomerField(header)) {
+      return { error: `Field ${field.key} needs a header that no other column uses` };
+    }
+    const maxLength = field.maxLength === undefined ? 100 : Number(field.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > 1000) {
+      return { error: `Field ${field.key} must have a maxLength between 1 and 1000` };
+    }
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        return { error: `Field ${field.key} has an invalid pattern: ${error.message}` };
+      }
+    }
+    const options = field.type === 'select' ? field.options : undefined;
+    if (field.type === 'select' && (!Array.isArray(options) || options.length === 0 ||
+        options.some(option => typeof option !== 'string' || !option.trim()))) {
+      return { error: `Field ${field.key} needs a list of options` };
+    }
+    if (field.messages !== undefined && (typeof field.messages !== 'object' ||
+        Object.values(field.messages).some(message => typeof message !== 'string'))) {
+      return { error: `Field ${field.key} messages must be text` };
+    }
+    usedKeys.add(field.key);
+    usedHeaders.add(header.toLowerCase());
+    validated.push({
+      key: field.key,
+      label: field.label.trim(),
+      type: field.type,
+      required: field.required === true,
+      maxLength,
+      ...(field.placeholder ? { placeholder: field.placeholder.toString() } : {}),
+      ...(field.pattern !== undefined ? { pattern: field.pattern.toString() } : {}),
+      ...(options ? { options: options.map(option => option.trim()) } : {}),
+      ...(field.messages ? { messages: field.messages } : {}),
+      header,
+    });
+  }
+  return { fields: validated };
+}
+
+// Load the saved custom form fields, keeping none if the file is missing or invalid
+async function loadCustomFormFields() {
+  const fields = await readConfigFile(FORM_FIELDS_FILE, config => {
+    const { fields: value, error } = validateCustomFormFields(config);
+    return { value, error };
+  }, 'FORM');
+  if (fields) {
+    customFormFields = fields;
+  }
+}
+
+// Every field of the signup form: the built-in ones, then the custom ones
+function signupFields() {
+  return [...SIGNUP_FIELDS, ...customFormFields.map(completeFormField)];
+}
+
+// Parse a YYYY-MM-DD date of birth into a local date, or null if it is not a real date
+function parseDateOfBirth(dob) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((dob || '').toString().trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// Whether a date of birth is a real month and day given without a year, as --MM-DD.
+// February 29 is allowed, since the birthday offer moves it to the 28th in other years.
+function isDateOfBirthWithoutYear(dob) {
+  const match = /^--(\d{2})-(\d{2})$/.exec((dob || '').toString().trim());
+  return !!match && parseDateOfBirth(`2000-${match[1]}-${match[2]}`) !== null;
+}
+
+// Age in whole years on a date of someone born on another
+function ageOn(birthDate, date) {
+  const hadBirthday = date.getMonth() > birthDate.getMonth() ||
+    (date.getMonth() === birthDate.getMonth() && date.getDate() >= birthDate.getDate());
+  return date.getFullYear() - birthDate.getFullYear() - (hadBirthday ? 0 : 1);
+}
+
+// Check a value against a form field, returning the field's error message or null if it is valid
+function validateFormField(field, value) {
+  if (value !== null && value !== undefined && typeof value !== 'string') {
+    return field.messages.invalid;
+  }
+  const text = value === null || value === undefined ? '' : value.trim();
+  if (!text) {
+    return field.required ? field.messages.required : null;
+  }
+  if (field.maxLength && text.length > field.maxLength) {
+    return field.messages.tooLong;
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(text)) {
+    return field.messages.invalid;
+  }
+  if (field.type === 'select' && !field.options.includes(text)) {
+    return field.messages.invalid;
+  }
+  if (field.type === 'email' && !isValidEmail(text)) {
+    return field.messages.invalid;
+  }
+  if (field.type === 'tel' && !parsePhone(text)) {
+    return field.messages.invalid;
+  }
+  if (field.type === 'date' && !(field.allowNoYear && isDateOfBirthWithoutYear(text))) {
+    const date = parseDateOfBirth(text);
+    if (!date) {
+      return field.messages.invalid;
+    }
+    const today = new Date();
+    if (date > today) {
+      return field.messages.future;
+    }
+    if (field.minAge && ageOn(date, today) < field.minAge) {
+      return field.messages.tooYoung;
+    }
+    if (field.maxAge && ageOn(date, today) > field.maxAge) {
+      return field.messages.tooOld;
+    }
+  }
+  return null;
+}
+
+// Check signup values against the form fields. Returns { field, error } for the first invalid field, or null.
+function findInvalidField(values, fields, label) {
+  for (const field of fields) {
+    const error = validateFormField(field, values[field.key]);
+    if (error) {
+      console.log(`${label}: Validation failed: ${field.key}: ${error}`);
+      return { field: field.key, error };
+    }
+  }
+  return null;
+}
+
+// Without a birth year the age cannot be checked, so a date of birth without one needs the age
+// confirmed instead. Returns { field, error } when it is missing, or null.
+function checkAgeConfirmation(dob, ageConfirmed, label) {
+  const dobField = SIGNUP_FIELDS.find(field => field.key === 'dob');
+  if (dobField.minAge && isDateOfBirthWithoutYear(dob) && ageConfirmed !== true) {
+    console.log(`${label}: Validation failed: dob: Age not confirmed for a date of birth without a year`);
+    return { field: 'dob', error: dobField.messages.ageConfirm };
+  }
+  return null;
+}
+
+// Validate the built-in signup fields, returning an error message or null if they are valid
+function validateSubmission(values, label = 'SUBMIT') {
+  const invalid = findInvalidField(values, SIGNUP_FIELDS, label);
+  return invalid ? invalid.error : null;
+}
+
+// Read the rows of an uploaded CSV or xlsx file. The first row holds the column headers, matched
+// like the Customers worksheet's. Returns { rows } with the sheet row number and IMPORT_FIELDS of
+// each row, or { error }.
+async function readImportRows(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  if (format === 'csv') {
+    sheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  }
+  if (!sheet || sheet.rowCount < 2) {
+    return { error: 'The file has no customer rows' };
+  }
+
+  const fieldColumns = new Map();
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = (cellToString(cell.value) || '').replace(/^\uFEFF/, '').trim().toLowerCase();
+    const field = COLUMN_KEYS_BY_HEADER.get(header) || IMPORT_FIELDS.find(key => key.toLowerCase() === header);
+    if (IMPORT_FIELDS.includes(field) && !fieldColumns.has(field)) {
+      fieldColumns.set(field, columnNumber);
+    }
+  });
+  const missing = ['name', 'email', 'phone', 'dob'].filter(field => !fieldColumns.has(field));
+  if (missing.length > 0) {
+    const headers = missing.map(field => CUSTOMER_COLUMNS.find(column => column.key === field).header);
+    return { error: `Missing columns: ${headers.join(', ')}` };
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const fields = {};
+    fieldColumns.forEach((columnNumber, field) => {
+      const value = row.getCell(columnNumber).value;
+      // Dates typed into a spreadsheet arrive as Date cells; keep only the day like the signup form does
+      fields[field] = field === 'dob' && value instanceof Date ? value.toISOString().slice(0, 10) : cellToString(value);
+      if (typeof fields[field] === 'string') {
+        fields[field] = fields[field].trim();
+      }
+    });
+    if (Object.values(fields).some(Boolean)) {
+      rows.push({ rowNumber, fields });
+    }
+  });
+  return { rows };
+}
+
+// Check for customers that already use this email or phone. With a campaign, only that campaign's
+// entries count, so returning customers can enter a new campaign.
+async function findDuplicates(email, phone, campaignId) {
+  const matches = (await customerStore.findByEmailOrPhone(email, phone))
+    .filter(customer => !campaignId || customer.campaign === campaignId);
+  return {
+    emailExists: matches.some(customer => customer.emailLookup === emailLookup(email)),
+    phoneExists: matches.some(customer => customer.phoneLookup === phoneLookup(phone)),
+  };
+}
+
+// Hash a one-time code so plain codes are never kept in memory
+function hashOtp(email, otp) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(`otp:${email}:${otp}`).digest('hex');
+}
+
+// Forget signups whose code has expired and whose resend window has passed
+function prunePendingVerifications() {
+  const now = Date.now();
+  pendingVerifications.forEach((pending, email) => {
+    const lastSentAt = pending.sentAt[pending.sentAt.length - 1] || 0;
+    if (now > pending.expiresAt && now - lastSentAt > OTP_SEND_WINDOW_MS) {
+      pendingVerifications.delete(email);
+    }
+  });
+}
+
+// Generate a new code for a pending signup and email it, honouring the resend throttle. A resubmitted
+// signup only replaces the pending customer once its code is actually sent.
+async function sendOtp(pending, customer = pending.customer) {
+  const now = Date.now();
+  pending.sentAt = pending.sentAt.filter(sentAt => now - sentAt < OTP_SEND_WINDOW_MS);
+  const lastSentAt = pending.sentAt[pending.sentAt.length - 1];
+  if (lastSentAt && now - lastSentAt < OTP_RESEND_INTERVAL_MS) {
+    const waitSeconds = Math.ceil((OTP_RESEND_INTERVAL_MS - (now - lastSentAt)) / 1000);
+    return { status: 429, body: { success: false, error: `Please wait ${waitSeconds} seconds before requesting a new code` } };
+  }
+  if (pending.sentAt.length >= OTP_MAX_SENDS) {
+    return { status: 429, body: { success: false, error: 'Too many codes requested. Please try again later.' } };
+  }
+
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  pending.customer = customer;
+  pending.otpHash = hashOtp(normalizeEmail(customer.email), otp);
+  pending.expiresAt = now + OTP_TTL_MS;
+  pending.attempts = 0;
+  pending.sentAt.push(now);
+
+  await mailTransport.send({
+    to: pending.customer.email,
+    subject: 'Your 24/1 Pizza verification code',
+    text: `Hi ${pending.customer.name},\n\nYour verification code is ${otp}. It expires in ${OTP_TTL_MS / 60000} minutes.\n\n24/1 Pizza`,
+  });
+  console.log(`OTP: Sent verification code to ${pending.customer.email}`);
+  return { status: 200, body: { success: true, otpRequired: true, email: pending.customer.email } };
+}
+
+// Sign in an admin user and start a session
+app.post('/admin/login', async (req, res) => {
+  const { username, password } = req.body;
+  const clientIp = req.ip;
+  const failures = loginFailures.get(clientIp);
+  if (failures && failures.count >= LOGIN_MAX_FAILURES && Date.now() - failures.lastFailure < LOGIN_LOCKOUT_MS) {
+    console.log(`AUTH: Login locked out for ${clientIp}`);
+    return res.status(429).json({ success: false, error: 'Too many failed sign-in attempts. Please try again later.' });
+  }
+
+  const user = adminUsers.find(adminUser => adminUser.username === username);
+  const passwordValid = user && typeof password === 'string' && await verifyPassword(password, user.passwordHash);
+  if (!passwordValid) {
+    const count = failures && Date.now() - failures.lastFailure < LOGIN_LOCKOUT_MS ? failures.count + 1 : 1;
+    loginFailures.set(clientIp, { count, lastFailure: Date.now() });
+    console.log(`AUTH: Failed login for '${username}' from ${clientIp} (${count}/${LOGIN_MAX_FAILURES})`);
+    return res.status(401).json({ success: false, error: 'Invalid username or password' });
+  }
+
+  loginFailures.delete(clientIp);
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const sid = crypto.randomBytes(16).toString('hex');
+  const token = signToken({ purpose: 'session', sid, username: user.username, role: user.role, exp: expiresAt });
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}${req.secure ? '; Secure' : ''}`);
+  console.log(`AUTH: ${user.username} (${user.role}) signed in`);
+  res.json({ success: true, username: user.username, role: user.role, token, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+// End the admin session. Its token is revoked, so a copy kept from the login response stops working too.
+app.post('/admin/logout', (req, res) => {
+  const session = getAdminSession(req);
+  if (session) {
+    const now = Date.now();
+    revokedSessions.forEach((exp, sid) => {
+      if (exp < now) revokedSessions.delete(sid);
+    });
+    revokedSessions.set(session.sid, session.exp);
+    console.log(`AUTH: ${session.username} (${session.role}) signed out`);
+  }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.json({ success: true });
+});
+
+// Report who is signed in
+app.get('/admin/me', requireRole('staff'), (req, res) => {
+  res.json({ success: true, username: req.admin.username, role: req.admin.role });
+});
+
+// List rows that changed both locally and on Google Drive, newest first
+app.get('/admin/sync-conflicts', requireRole('owner'), async (req, res) => {
+  try {
+    const contents = await fs.readFile(SYNC_CONFLICTS_FILE, 'utf8').catch(() => '');
+    const conflicts = contents.split('\n').filter(line => line.trim()).map(line => decryptConflict(JSON.parse(line))).reverse();
+    res.json({ success: true, conflicts });
+  } catch (error) {
+    console.error('SYNC: Failed to read sync conflicts:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load sync conflicts' });
+  }
+});
+
+// Report the state of the Google Drive sync so operators can see when it is degraded
+app.get('/admin/status', requireRole('staff'), async (req, res) => {
+  try {
+    const syncState = await loadSyncState();
+    const localCustomers = await withFileLock(() => customerStore.list());
+    res.json({
+      success: true,
+      store: customerStore.name,
+      degraded: syncHealth.degraded,
+      degradedReason: syncHealth.reason,
+      degradedSince: syncHealth.since,
+      localChangesPending,
+      pendingWrite: !!pendingSave,
+      localRowCount: localCustomers.length,
+      lastSync: syncState ? {
+        syncedAt: syncState.syncedAt,
+        modifiedTime: syncState.modifiedTime,
+        version: syncState.version,
+        rowCount: syncState.baseCustomers.length,
+      } : null,
+    });
+  } catch (error) {
+    console.error('STATUS: Failed to report sync status:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load sync status' });
+  }
+});
+
+// Upload the local file even though it has fewer rows than Google Drive had at the last sync
+app.post('/admin/sync/confirm-upload', requireRole('owner'), async (req, res) => {
+  console.log(`SYNC: ${req.admin.username} confirmed uploading the local file to Google Drive`);
+  try {
+    await withFileLock(() => uploadToGoogleDrive(3, { allowFewerRows: true }));
+    res.json({ success: true, message: 'Local file uploaded to Google Drive' });
+  } catch (error) {
+    console.error('SYNC: Confirmed upload failed:', error.message, error.stack);
+    res.status(502).json({ success: false, error: `Upload failed: ${error.message}` });
+  }
+});
+
+// List the snapshots of customers.xlsx with their row counts
+app.get('/admin/snapshots', requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ success: true, snapshots: await listSnapshots() });
+  } catch (error) {
+    console.error('SNAPSHOT: Failed to list snapshots:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to list snapshots' });
+  }
+});
+
+// Restore a snapshot as the current customer data and mark it for upload to Google Drive
+app.post('/admin/snapshots/:id/restore', requireRole('owner'), async (req, res) => {
+  const snapshotId = req.params.id;
+  if (!SNAPSHOT_NAME_PATTERN.test(snapshotId)) {
+    return res.status(400).json({ success: false, error: 'Invalid snapshot id' });
+  }
+  console.log(`SNAPSHOT: ${req.admin.username} is restoring ${snapshotId}`);
+
+  try {
+    const restoreResult = await withFileLock(async () => {
+      const snapshotFile = path.join(SNAPSHOT_DIR, `${snapshotId}.xlsx`);
+      const fileExists = await fs.access(snapshotFile).then(() => true).catch(() => false);
+      if (!fileExists) {
+        return { status: 404, body: { success: false, error: 'Snapshot not found' } };
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(snapshotFile);
+      if (!(await validateWorkbook(workbook))) {
+        return { status: 422, body: { success: false, error: 'Snapshot is not a valid customer workbook' } };
+      }
+      migrateWorkbook(workbook, 'SNAPSHOT');
+      const customers = readStoredCustomers(workbook.getWorksheet('Customers'));
+      await customerStore.replaceAll(customers);
+      console.log(`SNAPSHOT: Restored ${snapshotId} with ${customers.length} rows`);
+      return { status: 200, body: { success: true, restored: snapshotId, rowCount: customers.length } };
+    });
+    res.status(restoreResult.status).json(restoreResult.body);
+  } catch (error) {
+    console.error('SNAPSHOT: Failed to restore snapshot:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to restore snapshot. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
+  }
+});
+
+// Import customers from an uploaded CSV or xlsx file sent as the request body. Every row goes
+// through the /submit validation, blocked domain and duplicate checks (against the store and earlier
+// rows of the file), and is entered in its campaign column's campaign or else the running one. Each
+// saved row's consent decision is logged as coming from the import. With dryRun=1 only the per-row
+// report is returned; otherwise the accepted rows are saved in one write.
+app.post('/admin/import', requireRole('owner'), bodyParser.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+  const contentType = req.get('Content-Type') || '';
+  const format = (req.query.format || (/csv|text\//.test(contentType) ? 'csv' : 'xlsx')).toString().toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'Invalid format, expected csv or xlsx' });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, error: 'Send the CSV or xlsx file as the request body' });
+  }
+  const dryRun = ['1', 'true'].includes(req.query.dryRun);
+  console.log(`IMPORT: ${req.admin.username} uploaded a ${req.body.length} byte ${format} file${dryRun ? ' for a dry run' : ''}`);
+
+  let parsed;
+  try {
+    parsed = await readImportRows(req.body, format);
+  } catch (error) {
+    console.error('IMPORT: Failed to read the uploaded file:', error.message);
+    return res.status(400).json({ success: false, error: `Unable to read the ${format} file` });
+  }
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const importResult = await withFileLock(async () => {
+      const report = [];
+      const accepted = [];
+      // Emails and phones of earlier rows, per campaign like the duplicate checks of /submit
+      const seenEmails = new Set();
+      const seenPhones = new Set();
+      const { campaign: runningCampaign } = campaignStatus();
+      const importedAt = new Date().toISOString();
+      for (const { rowNumber, fields } of parsed.rows) {
+        const { name, email, phone, dob } = fields;
+        // Rows without a campaign are entries in the running one, as signups made now would be
+        const campaignId = fields.campaign || (runningCampaign ? runningCampaign.id : null);
+        let reason = validateSubmission({ name, email, phone, dob }, 'IMPORT');
+        if (!reason && isBlockedEmailDomain(email)) {
+          reason = 'Disposable email address';
+        }
+        if (!reason && checkAgeConfirmation(dob, false, 'IMPORT')) {
+          reason = 'Date of birth without a year, so the customer has not confirmed their age';
+        }
+        if (!reason && fields.campaign && !campaignConfig.some(campaign => campaign.id === fields.campaign)) {
+          reason = `Unknown campaign ${fields.campaign}`;
+        }
+        if (!reason) {
+          const duplicates = await findDuplicates(email, phone, campaignId);
+          const emailExists = duplicates.emailExists || seenEmails.has(`${campaignId} ${normalizeEmail(email)}`);
+          const phoneExists = duplicates.phoneExists || seenPhones.has(`${campaignId} ${normalizePhone(phone)}`);
+          reason = emailExists || phoneExists ? getDuplicateErrorMessage(emailExists, phoneExists) : null;
+        }
+        if (!reason && fields.createdAt && isNaN(new Date(fields.createdAt).getTime())) {
+          reason = 'Invalid signup date';
+        }
+        if (!reason && fields.location && !findLocation(fields.location)) {
+          reason = `Unknown location ${fields.location}`;
+        }
+        report.push({ row: rowNumber, name, email, status: reason ? 'rejected' : 'accepted', ...(reason ? { reason } : {}) });
+        if (reason) continue;
+
+        seenEmails.add(`${campaignId} ${normalizeEmail(email)}`);
+        seenPhones.add(`${campaignId} ${normalizePhone(phone)}`);
+        const customer = {
+          name,
+          email,
+          phone: parsePhone(phone),
+          dob,
+          marketingConsent: (fields.marketingConsent || '').toLowerCase() === 'yes' ? 'yes' : 'no',
+          consentVersion: IMPORTED_CONSENT_VERSION,
+          consentAt: importedAt,
+          consentIp: null,
+          campaign: campaignId,
+          location: fields.location || null,
+        };
+        if (fields.createdAt) {
+          customer.createdAt = new Date(fields.createdAt).toISOString();
+        }
+        accepted.push(customer);
       }
-    }
-    cachedWorkbook = workbook;
+
+      if (!dryRun && accepted.length > 0) {
+        const added = await customerStore.addMany(accepted);
+        for (const customer of added) {
+          await recordConsentEvent(customer.marketingConsent === 'yes' ? 'opt-in' : 'declined', customer, null, {
+            source: 'import',
+            importedBy: req.admin.username,
+          });
+        }
+      }
+      console.log(`IMPORT: ${accepted.length} rows accepted, ${report.length - accepted.length} rejected${dryRun ? ' (dry run, nothing saved)' : ''}`);
+      return {
+        status: 200,
+        body: { success: true, dryRun, accepted: accepted.length, rejected: report.length - accepted.length, rows: report },
+      };
+    });
+    res.status(importResult.status).json(importResult.body);
+  } catch (error) {
+    console.error('IMPORT: Failed to import customers:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to import customers. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
   }
+});
 
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(LOCAL_EXCEL_FILE);
-  const sheet = workbook.getWorksheet('Customers');
-  console.log('INIT: Excel file contents after initialization:');
-  sheet.eachRow((row, rowNumber) => {
-    const name = row.getCell(1).value || '';
-    const email = row.getCell(2).value || '';
-    const phone = row.getCell(3).value || '';
-    const dob = row.getCell(4).value || '';
-    console.log(`INIT: Row ${rowNumber}:`, [name, email, phone, dob]);
+// Page through customers with search, signup date and prize filters, and sorting
+app.get('/customers', requireRole('staff'), async (req, res) => {
+  const { filters, error } = parseCustomerFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const sort = CUSTOMER_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+  const order = req.query.order === 'asc' ? 'asc' : 'desc';
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || CUSTOMER_PAGE_SIZE, 1), CUSTOMER_MAX_PAGE_SIZE);
+
+  try {
+    const customers = (await withFileLock(() => customerStore.list())).map(decryptCustomer);
+    const matches = sortCustomers(filterCustomers(customers, filters), sort, order);
+    const pages = Math.max(Math.ceil(matches.length / pageSize), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+    res.json({
+      success: true,
+      customers: matches.slice((page - 1) * pageSize, page * pageSize),
+      total: matches.length,
+      page,
+      pageSize,
+      pages,
+      sort,
+      order,
+      prizes: [...new Set([prizeConfig, ...[...campaignConfig, ...locationConfig].map(config => config.prizes || [])].flat().map(prize => prize.name))],
+      campaigns: campaignConfig.map(({ id, name }) => ({ id, name })),
+      locations: locationConfig.map(({ id, name }) => ({ id, name })),
+    });
+  } catch (error) {
+    console.error('CUSTOMERS: Failed to list customers:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to load customers. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
+  }
+});
+
+// The running campaign and its landing copy for index.html, or why signups are closed
+app.get('/campaign', (req, res) => {
+  const { open, campaign, message } = campaignStatus();
+  res.json({
+    success: true,
+    open,
+    message,
+    campaign: campaign && { id: campaign.id, name: campaign.name, startsAt: campaign.startsAt, endsAt: campaign.endsAt, copy: campaign.copy },
   });
-  cachedWorkbook = workbook;
-}
+});
 
-// Helper function to generate the duplicate error message
-function getDuplicateErrorMessage(emailExists, phoneExists) {
-  if (emailExists && phoneExists) {
-    return 'Email and phone number already exist';
-  } else if (emailExists) {
-    return 'Email already exists';
-  } else {
-    return 'Phone number already exists';
+// Every campaign, with the one running now
+app.get('/admin/campaigns', requireRole('owner'), (req, res) => {
+  const { campaign } = campaignStatus();
+  res.json({ success: true, campaigns: campaignConfig, active: campaign ? campaign.id : null });
+});
+
+// Replace the campaign list. Takes { campaigns: [{ id, name, startsAt, endsAt, prizes, copy }] }.
+app.post('/admin/campaigns', requireRole('owner'), async (req, res) => {
+  const { campaigns, error } = validateCampaignConfig(req.body.campaigns);
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
-}
 
-// Handle form submission
-app.post('/submit', async (req, res) => {
-  const submitStartTime = Date.now();
-  console.log(`SUBMIT: Received submission at ${new Date(submitStartTime).toISOString()}:`, req.body);
+  try {
+    await withFileLock(() => saveCampaignConfig(campaigns));
+    console.log(`CAMPAIGNS: ${req.admin.username} saved ${campaigns.length} campaigns: ${campaigns.map(campaign => campaign.id).join(', ')}`);
+    res.json({ success: true, campaigns });
+  } catch (saveError) {
+    console.error('CAMPAIGNS: Failed to save campaigns:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save campaigns. Please try again later.' });
+  }
+});
 
-  const { name, email, phone, dob } = req.body;
+// Store links such as /s/winston open the signup form for that location
+app.get('/s/:location', (req, res) => {
+  const location = findLocation(req.params.location);
+  if (!location) {
+    console.log(`LOCATIONS: Unknown store link ${req.params.location}`);
+    return res.redirect('/');
+  }
+  res.redirect(`/?location=${encodeURIComponent(location.id)}`);
+});
+
+// Every location with its links and prizes
+app.get('/admin/locations', requireRole('owner'), (req, res) => {
+  res.json({ success: true, locations: locationConfig, defaultLinks: DEFAULT_LOCATION_LINKS });
+});
 
-  if (!name || !email || !phone || !dob) {
-    console.log('SUBMIT: Validation failed: Missing required fields');
-    return res.status(400).json({ success: false, error: 'Missing required fields' });
+// Replace the location list. Takes { locations: [{ id, name, links, prizes }] }.
+app.post('/admin/locations', requireRole('owner'), async (req, res) => {
+  const { locations, error } = validateLocationConfig(req.body.locations);
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
 
-  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.(com|org|net|edu|gov|co|io|me|biz)$/i;
-  if (!emailRegex.test(email)) {
-    console.log('SUBMIT: Validation failed: Invalid email address');
-    return res.status(400).json({ success: false, error: 'Please check the email address' });
+  try {
+    await withFileLock(() => saveLocationConfig(locations));
+    console.log(`LOCATIONS: ${req.admin.username} saved ${locations.length} locations: ${locations.map(location => location.id).join(', ')}`);
+    res.json({ success: true, locations });
+  } catch (saveError) {
+    console.error('LOCATIONS: Failed to save locations:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save locations. Please try again later.' });
   }
+});
+
+// Marketing consent wording for the opt-in checkbox on index.html
+app.get('/consent', (req, res) => {
+  res.json({ success: true, ...MARKETING_CONSENT });
+});
 
-  const domain = email.split('@')[1].toLowerCase();
-  const commonMisspellings = ['gmil.com', 'gail.com', 'gmai.com', 'gnail.com'];
-  if (commonMisspellings.includes(domain)) {
-    console.log(`SUBMIT: Detected common email domain misspelling: ${domain}`);
-    return res.status(400).json({ success: false, error: 'Please check the email address' });
+// Opt a customer out of marketing emails using the token from their unsubscribe link
+app.post('/unsubscribe', async (req, res) => {
+  const payload = verifyToken((req.body && req.body.token) || req.query.token, 'unsubscribe');
+  if (!payload) {
+    return res.status(400).json({ success: false, error: 'This unsubscribe link is not valid.' });
   }
 
-  if (!/^\d{10}$/.test(phone)) {
-    console.log('SUBMIT: Validation failed: Invalid phone number');
-    return res.status(400).json({ success: false, error: 'Invalid phone number (10 digits required)' });
+  try {
+    const unsubscribeResult = await withFileLock(async () => {
+      const customer = await customerStore.findById(payload.id);
+      if (!customer) {
+        return { status: 404, body: { success: false, error: 'We could not find your details. You will not receive marketing emails.' } };
+      }
+      // Opt out every campaign entry made with this email
+      const entries = (await customerStore.findByLookups({ emailLookup: customer.emailLookup }))
+        .filter(existing => existing.marketingConsent !== 'no');
+      if (entries.length === 0) {
+        return { status: 200, body: { success: true, message: 'You are already unsubscribed.' } };
+      }
+      const unsubscribedAt = new Date().toISOString();
+      for (const entry of entries) {
+        await customerStore.update(entry.id, { marketingConsent: 'no', unsubscribedAt });
+      }
+      await recordConsentEvent('opt-out', customer, req.ip);
+      return { status: 200, body: { success: true, message: 'You have been unsubscribed from marketing emails.' } };
+    });
+    res.status(unsubscribeResult.status).json(unsubscribeResult.body);
+  } catch (error) {
+    console.error('CONSENT: Failed to unsubscribe customer:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to unsubscribe you right now. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
   }
+});
 
-  const dobDate = new Date(dob);
-  const today = new Date();
-  if (isNaN(dobDate.getTime())) {
-    console.log('SUBMIT: Validation failed: Invalid date of birth');
-    return res.status(400).json({ success: false, error: 'Invalid date of birth' });
+// Consent decisions and unsubscribes, newest first, optionally for one email
+app.get('/admin/consent-log', requireRole('owner'), async (req, res) => {
+  try {
+    const contents = await fs.readFile(CONSENT_LOG_FILE, 'utf8').catch(() => '');
+    const lookup = emailLookup(req.query.email);
+    const events = contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      .filter(event => !lookup || (event.emailLookup || emailLookup(decryptField(event.email))) === lookup)
+      .map(decryptCustomer)
+      .reverse();
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('CONSENT: Failed to read consent log:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load consent log' });
   }
-  if (dobDate > today) {
-    console.log('SUBMIT: Validation failed: Date of birth is in the future');
-    return res.status(400).json({ success: false, error: 'Date of birth cannot be in the future' });
+});
+
+// Run the birthday offers now instead of waiting for the daily run
+app.post('/admin/birthday-offers/run', requireRole('owner'), async (req, res) => {
+  console.log(`BIRTHDAY: ${req.admin.username} started a birthday offer run`);
+  try {
+    const sentCount = await sendBirthdayOffers();
+    res.json({ success: true, sent: sentCount });
+  } catch (error) {
+    console.error('BIRTHDAY: Manual run failed:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to send birthday offers' });
   }
+});
+
+// A signed token recording when the signup form was opened, checked by /submit
+app.get('/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, token: signToken({ purpose: 'form', issuedAt: Date.now() }) });
+});
 
+// Signups rejected by the abuse checks, newest first
+app.get('/admin/rejected-signups', requireRole('owner'), async (req, res) => {
   try {
-    let submissionResult;
-    fileLockPromise = fileLockPromise.then(async () => {
-      try {
-        let workbook;
-        let sheet;
+    const contents = await fs.readFile(REJECTED_SIGNUPS_FILE, 'utf8').catch(() => '');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const rejections = contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      .filter(rejection => !req.query.reason || rejection.reason === req.query.reason)
+      .reverse()
+      .slice(0, limit)
+      .map(rejection => ({ ...rejection, email: decryptField(rejection.email) }));
+    res.json({ success: true, rejections });
+  } catch (error) {
+    console.error('ABUSE: Failed to read rejected signups:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load rejected signups' });
+  }
+});
 
-        console.log('SUBMIT: Loading local Excel file...');
-        try {
-          workbook = await loadLocalExcel();
-          sheet = workbook.getWorksheet('Customers');
-          console.log('SUBMIT: Successfully loaded local Excel file:', LOCAL_EXCEL_FILE);
-
-          console.log('SUBMIT: File contents before submission:');
-          sheet.eachRow((row, rowNumber) => {
-            const name = row.getCell(1).value || '';
-            const email = row.getCell(2).value || '';
-            const phone = row.getCell(3).value || '';
-            const dob = row.getCell(4).value || '';
-            console.log(`SUBMIT: Row ${rowNumber}:`, [name, email, phone, dob]);
-          });
-        } catch (loadError) {
-          console.error('SUBMIT: Failed to load Excel file, forcing recreation:', loadError.message, loadError.stack);
-          workbook = await initializeExcel();
-          sheet = workbook.getWorksheet('Customers');
-          let fileCreated = false;
-          let writeAttempts = 0;
-          const maxWriteAttempts = 3;
-
-          while (writeAttempts < maxWriteAttempts && !fileCreated) {
-            try {
-              await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
-              await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-              await logFileStats(LOCAL_EXCEL_FILE, 'SUBMIT: After Forced Recreation');
-              console.log('SUBMIT: Forced recreation of Excel file:', LOCAL_EXCEL_FILE);
-
-              const fileExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
-              if (!fileExists) {
-                throw new Error('Failed to create Excel file during forced recreation');
-              }
-              console.log('SUBMIT: Verified: Excel file exists after forced recreation');
-              fileCreated = true;
-            } catch (writeError) {
-              writeAttempts++;
-              console.error(`SUBMIT: Failed to recreate Excel file (attempt ${writeAttempts}/${maxWriteAttempts}):`, writeError.message, writeError.stack);
-              if (writeAttempts === maxWriteAttempts) {
-                throw new Error(`SUBMIT: Failed to recreate Excel file after ${maxWriteAttempts} attempts: ${writeError.message}`);
-              }
-              await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-          }
-          cachedWorkbook = workbook;
-        }
+// The disposable email domains /submit rejects
+app.get('/admin/blocked-domains', requireRole('owner'), (req, res) => {
+  res.json({ success: true, domains: blockedEmailDomains });
+});
 
-        console.log('SUBMIT: Collecting existing rows before adding new row...');
-        const existingRows = [];
-        sheet.eachRow((row, rowNumber) => {
-          if (rowNumber === 1) return;
-          const name = row.getCell(1).value || '';
-          const email = row.getCell(2).value || '';
-          const phone = row.getCell(3).value || '';
-          const dob = row.getCell(4).value || '';
-          if (name && email && phone) {
-            existingRows.push([name, email, phone, dob]);
-            console.log(`SUBMIT: Existing Row ${rowNumber}:`, [name, email, phone, dob]);
-          }
-        });
+// Replace the disposable email domain blocklist. Takes { domains: ['example.com', ...] }.
+app.post('/admin/blocked-domains', requireRole('owner'), async (req, res) => {
+  const { domains, error } = validateDomainList(req.body.domains);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-        console.log('SUBMIT: Checking for duplicates...');
-        let emailExists = false;
-        let phoneExists = false;
-        const normalizedEmail = email.toLowerCase().trim();
-        const normalizedPhone = phone.toString().trim();
+  try {
+    await writeConfigFile(BLOCKED_DOMAINS_FILE, domains);
+    blockedEmailDomains = domains;
+    console.log(`ABUSE: ${req.admin.username} saved ${domains.length} blocked email domains`);
+    res.json({ success: true, domains });
+  } catch (saveError) {
+    console.error('ABUSE: Failed to save blocked email domains:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save blocked domains. Please try again later.' });
+  }
+});
 
-        existingRows.forEach((row, index) => {
-          const existingEmail = row[1];
-          const existingPhone = row[2];
+// Fields of the signup form, for index.html to render and check
+app.get('/form-schema', (req, res) => {
+  res.json({ success: true, fields: signupFields().map(({ header, ...field }) => field) });
+});
 
-          const normalizedExistingEmail = existingEmail ? existingEmail.toString().toLowerCase().trim() : '';
-          const normalizedExistingPhone = existingPhone ? existingPhone.toString().trim() : '';
+// The custom signup form fields
+app.get('/admin/form-fields', requireRole('owner'), (req, res) => {
+  res.json({ success: true, fields: customFormFields });
+});
 
-          console.log(`SUBMIT: Existing Row ${index + 2} - Email: '${normalizedExistingEmail}', Phone: '${normalizedExistingPhone}'`);
-          console.log(`SUBMIT: Comparing Email - Input: '${normalizedEmail}', Existing: '${normalizedExistingEmail}', Match: ${normalizedExistingEmail === normalizedEmail}`);
-          console.log(`SUBMIT: Comparing Phone - Input: '${normalizedPhone}', Existing: '${normalizedExistingPhone}', Match: ${normalizedExistingPhone === normalizedPhone}`);
+// Replace the custom signup form fields. Takes { fields: [{ key, label, type, ... }] }; see
+// validateCustomFormFields. Values are stored in a worksheet column named by each field's header.
+app.post('/admin/form-fields', requireRole('owner'), async (req, res) => {
+  const { fields, error } = validateCustomFormFields(req.body.fields);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-          if (normalizedExistingEmail && normalizedExistingEmail === normalizedEmail) {
-            emailExists = true;
-          }
-          if (normalizedExistingPhone && normalizedExistingPhone === normalizedPhone) {
-            phoneExists = true;
-          }
-        });
+  try {
+    await writeConfigFile(FORM_FIELDS_FILE, fields);
+    customFormFields = fields;
+    console.log(`FORM: ${req.admin.username} saved ${fields.length} custom form fields`);
+    res.json({ success: true, fields });
+  } catch (saveError) {
+    console.error('FORM: Failed to save custom form fields:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save form fields. Please try again later.' });
+  }
+});
 
-        if (emailExists || phoneExists) {
-          console.log('SUBMIT: Duplicate check - Email exists:', emailExists, 'Phone exists:', phoneExists);
-          const errorMessage = getDuplicateErrorMessage(emailExists, phoneExists);
-          submissionResult = { status: 400, body: { success: false, error: errorMessage } };
-          return;
-        } else {
-          console.log('SUBMIT: No duplicates found, proceeding to add new row.');
-        }
+// The popular email domains used for "did you mean" suggestions
+app.get('/admin/email-domains', requireRole('owner'), (req, res) => {
+  res.json({ success: true, domains: popularEmailDomains });
+});
 
-        existingRows.push([name, email, phone, dob]);
-        console.log('SUBMIT: Added new row to list:', [name, email, phone, dob]);
-
-        console.log('SUBMIT: Recreating worksheet with contiguous rows...');
-        workbook.removeWorksheet('Customers');
-        const newSheet = workbook.addWorksheet('Customers');
-        newSheet.columns = [
-          { header: 'Name', key: 'name', width: 20 },
-          { header: 'Email', key: 'email', width: 30 },
-          { header: 'Phone', key: 'phone', width: 15 },
-          { header: 'Date of Birth', key: 'dob', width: 15 },
-        ];
-
-        existingRows.forEach((rowValues, index) => {
-          const newRow = newSheet.addRow(rowValues);
-          newRow.commit();
-          console.log(`SUBMIT: Added row ${index + 2} to new worksheet:`, rowValues);
-        });
+// Replace the popular email domains. Takes { domains: ['gmail.com', ...] }.
+app.post('/admin/email-domains', requireRole('owner'), async (req, res) => {
+  const { domains, error } = validateDomainList(req.body.domains);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-        console.log('SUBMIT: Checking disk space and permissions before saving...');
-        await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE);
-        let writeAttempts = 0;
-        const maxWriteAttempts = 3;
-        let fileWritten = false;
-        console.log('SUBMIT: Attempting to save Excel file...');
-        await logFileStats(LOCAL_EXCEL_FILE, 'SUBMIT: Before Save');
-        while (writeAttempts < maxWriteAttempts && !fileWritten) {
-          try {
-            await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-            console.log('SUBMIT: Data successfully saved to local Excel file:', LOCAL_EXCEL_FILE);
-            fileWritten = true;
-          } catch (writeError) {
-            writeAttempts++;
-            console.error(`SUBMIT: Failed to write to Excel file (attempt ${writeAttempts}/${maxWriteAttempts}):`, writeError.message, writeError.stack);
-            if (writeAttempts === maxWriteAttempts) {
-              throw new Error('SUBMIT: Failed to write to Excel file after maximum attempts');
-            }
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-        await logFileStats(LOCAL_EXCEL_FILE, 'SUBMIT: After Save');
+  try {
+    await writeConfigFile(EMAIL_DOMAINS_FILE, domains);
+    popularEmailDomains = domains;
+    console.log(`EMAIL: ${req.admin.username} saved ${domains.length} popular email domains`);
+    res.json({ success: true, domains });
+  } catch (saveError) {
+    console.error('EMAIL: Failed to save popular email domains:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save email domains. Please try again later.' });
+  }
+});
 
-        cachedWorkbook = workbook;
+// List the fields sent in a request body for the logs, leaving out their values, which are
+// customer details
+function describeRequestFields(body) {
+  const fields = body && typeof body === 'object' ? Object.keys(body) : [];
+  return fields.length ? `fields ${fields.join(', ')}` : 'no fields';
+}
 
-        localChangesPending = true;
-        console.log('SUBMIT: Local changes marked for immediate sync to Google Drive.');
+// Handle form submission: validate the details and email a verification code.
+// The customer is only saved once the code is confirmed through /verify-otp.
+app.post('/submit', async (req, res) => {
+  const submitStartTime = Date.now();
+  console.log(`SUBMIT: Received submission at ${new Date(submitStartTime).toISOString()} with ${describeRequestFields(req.body)}`);
 
-        // Perform immediate sync to Google Drive
-        try {
-          console.log('SUBMIT: Starting immediate sync to Google Drive...');
-          await uploadToGoogleDrive();
-          console.log('SUBMIT: Immediate sync to Google Drive completed successfully.');
-        } catch (syncError) {
-          console.error('SUBMIT: Immediate sync to Google Drive failed:', syncError.message, syncError.stack);
-          console.error('SUBMIT: Immediate sync error details:', JSON.stringify(syncError, null, 2));
-          console.log('SUBMIT: Changes will be synced during the next periodic sync.');
-        }
+  const { open, campaign, message } = campaignStatus();
+  if (!open) {
+    console.log('SUBMIT: Rejected, no campaign is running');
+    return res.status(403).json({ success: false, error: message });
+  }
+  const abuseRejection = await checkSignupAbuse(req);
+  if (abuseRejection) {
+    return res.status(abuseRejection.status).json(abuseRejection.body);
+  }
 
-        submissionResult = { status: 200, body: { success: true, name } };
-      } catch (error) {
-        throw error;
+  const { name, email, phone, dob } = req.body;
+  const invalidField = findInvalidField(req.body, signupFields(), 'SUBMIT');
+  if (invalidField) {
+    return res.status(400).json({ success: false, ...invalidField });
+  }
+  const ageRejection = checkAgeConfirmation(dob, req.body.ageConfirmed, 'SUBMIT');
+  if (ageRejection) {
+    return res.status(400).json({ success: false, ...ageRejection });
+  }
+  // A likely typo is sent back as a suggestion, which the visitor can accept or keep their address with keepEmail
+  const emailSuggestion = req.body.keepEmail ? null : suggestEmail(email.toString().trim());
+  if (emailSuggestion) {
+    console.log(`SUBMIT: Suggesting ${emailSuggestion} for ${email}`);
+    return res.status(400).json({ success: false, error: `Did you mean ${emailSuggestion}?`, field: 'email', suggestion: emailSuggestion });
+  }
+  // A mistyped store link should not stop the signup, so an unknown location is only logged
+  const location = findLocation(req.body.location);
+  if (req.body.location && !location) {
+    console.log(`SUBMIT: Unknown location ${req.body.location}, saving the signup without one`);
+  }
+  const marketingConsent = req.body.marketingConsent === true;
+  if (marketingConsent && req.body.consentVersion !== MARKETING_CONSENT.version) {
+    console.log(`SUBMIT: Consent given for outdated wording ${req.body.consentVersion}`);
+    return res.status(400).json({ success: false, error: 'Our email consent wording has changed. Please reload the page and review it.' });
+  }
+  prunePendingVerifications();
+
+  try {
+    const campaignId = campaign ? campaign.id : null;
+    const duplicates = await withFileLock(() => findDuplicates(email, phone, campaignId));
+    if (duplicates.emailExists || duplicates.phoneExists) {
+      console.log('SUBMIT: Duplicate check - Email exists:', duplicates.emailExists, 'Phone exists:', duplicates.phoneExists);
+      return res.status(400).json({ success: false, error: getDuplicateErrorMessage(duplicates.emailExists, duplicates.phoneExists) });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    let pending = pendingVerifications.get(normalizedEmail);
+    if (!pending) {
+      pending = { sentAt: [], expiresAt: 0 };
+      pendingVerifications.set(normalizedEmail, pending);
+    }
+    const customer = {
+      name: name.toString().trim(),
+      email: email.toString().trim(),
+      phone: parsePhone(phone),
+      dob: dob.toString().trim(),
+      marketingConsent: marketingConsent ? 'yes' : 'no',
+      consentVersion: MARKETING_CONSENT.version,
+      consentAt: new Date().toISOString(),
+      consentIp: req.ip,
+      campaign: campaignId,
+      location: location ? location.id : null,
+    };
+    customFormFields.filter(field => !isBuiltInCustomerField(field.header)).forEach(field => {
+      const value = (req.body[field.key] || '').toString().trim();
+      if (value) {
+        customer[field.header] = value;
       }
     });
 
-    await fileLockPromise;
+    countAcceptedSignup(req);
+    const otpResult = await sendOtp(pending, customer);
+    const submitEndTime = Date.now();
+    console.log(`SUBMIT: Submission completed at ${new Date(submitEndTime).toISOString()}, took ${(submitEndTime - submitStartTime) / 1000} seconds`);
+    res.status(otpResult.status).json(otpResult.body);
+  } catch (error) {
+    console.error('SUBMIT: Failed to start email verification:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to send your verification code. Please try again later.' });
+  }
+});
+
+// Send a fresh verification code for a pending signup
+app.post('/send-otp', async (req, res) => {
+  const normalizedEmail = (req.body.email || '').toString().toLowerCase().trim();
+  const pending = pendingVerifications.get(normalizedEmail);
+  if (!pending) {
+    console.log(`OTP: Resend requested for unknown signup ${normalizedEmail}`);
+    return res.status(404).json({ success: false, error: 'Session expired. Please start again.' });
+  }
 
-    if (submissionResult) {
-      console.log('SUBMIT: Sending response:', submissionResult.body);
-      const submitEndTime = Date.now();
-      console.log(`SUBMIT: Submission completed at ${new Date(submitEndTime).toISOString()}, took ${(submitEndTime - submitStartTime) / 1000} seconds`);
-      res.status(submissionResult.status).json(submissionResult.body);
-    } else {
-      throw new Error('SUBMIT: Submission result not set');
-    }
+  try {
+    const otpResult = await sendOtp(pending);
+    res.status(otpResult.status).json(otpResult.body);
   } catch (error) {
-    console.error('SUBMIT: Failed to save to local Excel:', error.message, error.stack);
-    if (error.message.includes('Insufficient disk space')) {
-      res.status(500).json({ success: false, error: 'Server disk space is full. Please contact support.' });
-    } else if (error.message.includes('Permission denied')) {
-      res.status(500).json({ success: false, error: 'File permission error. Please contact support.' });
-    } else if (error.message.includes('Corrupt')) {
-      console.log('SUBMIT: Excel file appears to be corrupted, already recreated in main flow.');
-      res.status(503).json({ success: false, error: 'File was corrupted, please try again.' });
-    } else if (error.message.includes('Out of bounds')) {
-      console.log('SUBMIT: Excel file has invalid column structure, already recreated in main flow.');
-      res.status(503).json({ success: false, error: 'File was corrupted, please try again.' });
-    } else if (error.message.includes('Failed to initialize new Excel file')) {
-      res.status(500).json({ success: false, error: 'Failed to create Excel file. Please contact support.' });
-    } else if (error.message.includes('Failed to recreate Excel file')) {
-      res.status(500).json({ success: false, error: 'Failed to recreate Excel file. Please contact support.' });
-    } else {
-      res.status(500).json({ success: false, error: 'Unable to save your submission. Please try again later.' });
+    console.error('OTP: Failed to resend verification code:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to send your verification code. Please try again later.' });
+  }
+});
+
+// Confirm the emailed code and save the customer
+app.post('/verify-otp', async (req, res) => {
+  const verifyStartTime = Date.now();
+  console.log(`VERIFY: Received verification at ${new Date(verifyStartTime).toISOString()} for:`, req.body.email);
+
+  const normalizedEmailInput = (req.body.email || '').toString().toLowerCase().trim();
+  const otpInput = (req.body.otp || '').toString().trim();
+  const pending = pendingVerifications.get(normalizedEmailInput);
+  if (!pending || !pending.otpHash) {
+    console.log('VERIFY: No pending signup found');
+    return res.status(404).json({ success: false, error: 'Session expired. Please start again.' });
+  }
+  if (Date.now() > pending.expiresAt) {
+    console.log('VERIFY: Verification code expired');
+    pending.otpHash = null;
+    return res.status(400).json({ success: false, error: 'This code has expired. Please request a new one.' });
+  }
+  pending.attempts++;
+  const expectedHash = Buffer.from(pending.otpHash, 'hex');
+  const actualHash = Buffer.from(hashOtp(normalizeEmail(pending.customer.email), otpInput), 'hex');
+  if (!crypto.timingSafeEqual(expectedHash, actualHash)) {
+    console.log(`VERIFY: Wrong code (attempt ${pending.attempts}/${OTP_MAX_ATTEMPTS})`);
+    if (pending.attempts >= OTP_MAX_ATTEMPTS) {
+      pending.otpHash = null;
+      return res.status(429).json({ success: false, error: 'Too many incorrect codes. Please request a new one.' });
     }
+    return res.status(400).json({ success: false, error: 'Incorrect code. Please try again.' });
+  }
+  pendingVerifications.delete(normalizedEmailInput);
+
+  const customer = pending.customer;
+  // The campaign may have ended, or the next one started, while the code was in the customer's inbox
+  const { open, campaign, message } = campaignStatus();
+  if (!open) {
+    console.log(`VERIFY: Rejected, campaign ${customer.campaign} has ended`);
+    return res.status(403).json({ success: false, error: message });
+  }
+  if ((campaign ? campaign.id : null) !== customer.campaign) {
+    console.log(`VERIFY: Rejected, campaign ${customer.campaign} has been replaced by ${campaign && campaign.id}`);
+    return res.status(409).json({ success: false, error: 'This promotion has ended and a new one has started. Please sign up again.' });
+  }
+  console.log('VERIFY: Code accepted, saving customer');
+
+  try {
+    const verifyResult = await withFileLock(async () => {
+      const { emailExists, phoneExists } = await findDuplicates(customer.email, customer.phone, customer.campaign);
+      if (emailExists || phoneExists) {
+        console.log('VERIFY: Duplicate check - Email exists:', emailExists, 'Phone exists:', phoneExists);
+        return { status: 400, body: { success: false, error: getDuplicateErrorMessage(emailExists, phoneExists) } };
+      }
+
+      const savedCustomer = await customerStore.add(customer);
+      console.log('VERIFY: Added new customer:', customer.email);
+      await recordConsentEvent(savedCustomer.marketingConsent === 'yes' ? 'opt-in' : 'declined', savedCustomer, savedCustomer.consentIp);
+      const spinToken = signToken({ purpose: 'spin', id: savedCustomer.id, email: normalizeEmail(customer.email) });
+      return { status: 200, body: { success: true, name: customer.name, spinToken } };
+    });
+
+    const verifyEndTime = Date.now();
+    console.log(`VERIFY: Verification completed at ${new Date(verifyEndTime).toISOString()}, took ${(verifyEndTime - verifyStartTime) / 1000} seconds`);
+    res.status(verifyResult.status).json(verifyResult.body);
+  } catch (error) {
+    console.error('VERIFY: Failed to save customer:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to save your submission. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
   }
 });
 
-// Handle row deletion
-app.post('/delete', async (req, res) => {
+// Handle row deletion: the customer with the given ID, or every customer using the email or phone
+app.post('/delete', requireRole('owner'), async (req, res) => {
   const deleteStartTime = Date.now();
-  console.log(`DELETE: Received delete request at ${new Date(deleteStartTime).toISOString()}:`, req.body);
+  console.log(`DELETE: Received delete request at ${new Date(deleteStartTime).toISOString()} with ${describeRequestFields(req.body)}`);
 
-  const { email, phone } = req.body;
+  const { id, email, phone } = req.body;
 
-  if (!email && !phone) {
-    console.log('DELETE: Validation failed: Email or phone required for deletion');
-    return res.status(400).json({ success: false, error: 'Email or phone required for deletion' });
+  if (!id && !email && !phone) {
+    console.log('DELETE: Validation failed: ID, email or phone required for deletion');
+    return res.status(400).json({ success: false, error: 'ID, email or phone required for deletion' });
   }
 
   try {
-    let deletionResult;
-    fileLockPromise = fileLockPromise.then(async () => {
-      try {
-        console.log('DELETE: Syncing with Google Drive before deletion...');
-        await downloadFromGoogleDrive();
+    const removedCount = await withFileLock(() => customerStore.delete(id ? { id } : { email, phone }));
+    const deleteEndTime = Date.now();
+    console.log(`DELETE: Deletion completed at ${new Date(deleteEndTime).toISOString()}, took ${(deleteEndTime - deleteStartTime) / 1000} seconds`);
+    if (removedCount === 0) {
+      console.log('DELETE: No matching row found for deletion');
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+    console.log(`DELETE: Removed ${removedCount} matching customers`);
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (error) {
+    console.error('DELETE: Failed to delete customer:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to delete customer. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
+  }
+});
 
-        let workbook;
-        let sheet;
+// Correct a customer's details. The new values go through the same checks as /submit.
+app.post('/update', requireRole('owner'), async (req, res) => {
+  const updateStartTime = Date.now();
+  console.log(`UPDATE: Received update request at ${new Date(updateStartTime).toISOString()} with ${describeRequestFields(req.body)}`);
 
-        console.log('DELETE: Loading local Excel file...');
-        try {
-          workbook = await loadLocalExcel();
-          sheet = workbook.getWorksheet('Customers');
-          console.log('DELETE: Successfully loaded local Excel file:', LOCAL_EXCEL_FILE);
-
-          console.log('DELETE: File contents before deletion:');
-          sheet.eachRow((row, rowNumber) => {
-            const name = row.getCell(1).value || '';
-            const email = row.getCell(2).value || '';
-            const phone = row.getCell(3).value || '';
-            const dob = row.getCell(4).value || '';
-            console.log(`DELETE: Row ${rowNumber}:`, [name, email, phone, dob]);
-          });
-        } catch (loadError) {
-          console.error('DELETE: Failed to load Excel file for deletion, forcing recreation:', loadError.message, loadError.stack);
-          workbook = await initializeExcel();
-          sheet = workbook.getWorksheet('Customers');
-          await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE, true);
-          await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-          await logFileStats(LOCAL_EXCEL_FILE, 'DELETE: After Forced Recreation');
-          console.log('DELETE: Forced recreation of Excel file for deletion:', LOCAL_EXCEL_FILE);
-          deletionResult = { status: 404, body: { success: false, error: 'No data to delete after file recreation' } };
-          return;
-        }
+  const { originalEmail, name, email, phone, dob } = req.body;
+  if (!originalEmail || typeof originalEmail !== 'string') {
+    console.log('UPDATE: Validation failed: Original email required');
+    return res.status(400).json({ success: false, error: 'Original email required' });
+  }
+  const invalidField = findInvalidField({ name, email, phone, dob }, SIGNUP_FIELDS, 'UPDATE');
+  if (invalidField) {
+    return res.status(400).json({ success: false, ...invalidField });
+  }
 
-        console.log('DELETE: Checking for matching rows to delete...');
-        let rowFound = false;
-        const rowsToKeep = [];
-        rowsToKeep.push(sheet.getRow(1).values);
+  try {
+    const updateResult = await withFileLock(async () => {
+      const matches = (await customerStore.findByEmailOrPhone(originalEmail, null))
+        .filter(existing => existing.emailLookup === emailLookup(originalEmail));
+      const customer = matches.find(existing => existing.id === req.body.id) || matches[0];
+      if (!customer) {
+        return { status: 404, body: { success: false, error: 'Customer not found' } };
+      }
+      // The customer's entries in every campaign share their details, so all of them are corrected.
+      // Other rows in the same campaign are legacy rows of different people sharing the email.
+      const entries = matches.filter(existing => existing === customer || existing.campaign !== customer.campaign);
 
-        const normalizedEmail = email ? email.toLowerCase().trim() : null;
-        const normalizedPhone = phone ? phone.toString().trim() : null;
+      // The customer confirmed their age for the date of birth they signed up with, but not for a new one
+      const ageRejection = dob.trim() === decryptField(customer.dob) ? null : checkAgeConfirmation(dob, req.body.ageConfirmed, 'UPDATE');
+      if (ageRejection) {
+        return { status: 400, body: { success: false, ...ageRejection } };
+      }
 
-        sheet.eachRow((row, rowNumber) => {
-          if (rowNumber === 1) return;
-          const existingEmail = row.getCell(2).value;
-          const existingPhone = row.getCell(3).value;
+      const others = (await customerStore.findByEmailOrPhone(email, phone))
+        .filter(existing => existing.emailLookup !== customer.emailLookup);
+      const emailExists = others.some(existing => existing.emailLookup === emailLookup(email));
+      const phoneExists = others.some(existing => existing.phoneLookup === phoneLookup(phone));
+      if (emailExists || phoneExists) {
+        console.log('UPDATE: Duplicate check - Email exists:', emailExists, 'Phone exists:', phoneExists);
+        return { status: 400, body: { success: false, error: getDuplicateErrorMessage(emailExists, phoneExists) } };
+      }
 
-          const normalizedExistingEmail = existingEmail ? existingEmail.toString().toLowerCase().trim() : '';
-          const normalizedExistingPhone = existingPhone ? existingPhone.toString().trim() : '';
+      const changes = {
+        name: name.trim(),
+        email: email.trim(),
+        phone: parsePhone(phone),
+        dob: dob.trim(),
+      };
+      let updated = null;
+      for (const entry of entries) {
+        const updatedEntry = await customerStore.update(entry.id, changes);
+        if (entry.id === customer.id) {
+          updated = updatedEntry;
+        }
+      }
+      if (!updated) {
+        return { status: 404, body: { success: false, error: 'Customer not found' } };
+      }
+      console.log(`UPDATE: ${req.admin.username} updated customer ${customer.id}`);
+      return { status: 200, body: { success: true, customer: decryptCustomer(updated) } };
+    });
 
-          const emailMatch = normalizedEmail && normalizedExistingEmail === normalizedEmail;
-          const phoneMatch = normalizedPhone && normalizedExistingPhone === normalizedPhone;
+    const updateEndTime = Date.now();
+    console.log(`UPDATE: Update completed at ${new Date(updateEndTime).toISOString()}, took ${(updateEndTime - updateStartTime) / 1000} seconds`);
+    res.status(updateResult.status).json(updateResult.body);
+  } catch (error) {
+    console.error('UPDATE: Failed to update customer:', error.message, error.stack);
+    const errorResponse = storeErrorResponse(error, 'Unable to update customer. Please try again later.');
+    res.status(errorResponse.status).json(errorResponse.body);
+  }
+});
 
-          if (emailMatch || phoneMatch) {
-            console.log(`DELETE: Found matching row ${rowNumber} to delete:`, [row.getCell(1).value, normalizedExistingEmail, normalizedExistingPhone, row.getCell(4).value]);
-            rowFound = true;
-          } else {
-            rowsToKeep.push([row.getCell(1).value, row.getCell(2).value, row.getCell(3).value, row.getCell(4).value]);
-          }
-        });
+// Prizes still in stock, in wheel order, for wheel.html to draw its segments. With a spin token the
+// prizes are those of the customer's entry, otherwise those of the running campaign and the
+// location given in the query.
+app.get('/prizes', async (req, res) => {
+  const payload = req.query.token ? verifyToken(req.query.token, 'spin') : null;
+  try {
+    const stock = await withFileLock(async () => {
+      const customer = payload ? await findSpinCustomer(payload) : null;
+      const { campaign } = campaignStatus();
+      const { prizes, inScope } = entryPrizes(customer || { campaign: campaign && campaign.id, location: req.query.location });
+      return prizeStock(prizes, inScope);
+    });
+    res.json({
+      success: true,
+      prizes: stock.filter(prize => prize.available).map(({ name, label, color }) => ({ name, label, color })),
+    });
+  } catch (error) {
+    console.error('PRIZES: Failed to load prizes:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load prizes. Please try again later.' });
+  }
+});
 
-        if (!rowFound) {
-          console.log('DELETE: No matching row found for deletion');
-          deletionResult = { status: 404, body: { success: false, error: 'Customer not found' } };
-          return;
-        }
+// Prize configuration with how many of each prize have been won
+app.get('/admin/prizes', requireRole('owner'), async (req, res) => {
+  try {
+    const { prizes, inScope } = entryPrizes({});
+    const stock = await withFileLock(() => prizeStock(prizes, inScope));
+    res.json({ success: true, prizes: stock });
+  } catch (error) {
+    console.error('PRIZES: Failed to load prize stock:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load prizes. Please try again later.' });
+  }
+});
 
-        console.log('DELETE: Rows to keep after deletion:', rowsToKeep);
-
-        workbook.removeWorksheet('Customers');
-        const newSheet = workbook.addWorksheet('Customers');
-        newSheet.columns = [
-          { header: 'Name', key: 'name', width: 20 },
-          { header: 'Email', key: 'email', width: 30 },
-          { header: 'Phone', key: 'phone', width: 15 },
-          { header: 'Date of Birth', key: 'dob', width: 15 },
-        ];
-
-        rowsToKeep.forEach((rowValues, index) => {
-          const newRow = newSheet.addRow(rowValues);
-          newRow.commit();
-          console.log(`DELETE: Re-added row ${index + 1} after deletion:`, rowValues);
-        });
+// Replace the prize configuration. Takes { prizes: [{ name, label, color, weight, dailyLimit, totalLimit }] }.
+app.post('/admin/prizes', requireRole('owner'), async (req, res) => {
+  const { prizes, error } = validatePrizeConfig(req.body.prizes);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-        console.log('DELETE: Checking disk space and permissions before saving...');
-        await checkDiskSpaceAndPermissions(LOCAL_EXCEL_FILE);
-        let writeAttempts = 0;
-        const maxWriteAttempts = 3;
-        let fileWritten = false;
-        console.log('DELETE: Attempting to save Excel file after deletion...');
-        await logFileStats(LOCAL_EXCEL_FILE, 'DELETE: Before Save');
-        while (writeAttempts < maxWriteAttempts && !fileWritten) {
-          try {
-            await workbook.xlsx.writeFile(LOCAL_EXCEL_FILE);
-            console.log('DELETE: Data successfully saved to local Excel file after deletion:', LOCAL_EXCEL_FILE);
-            fileWritten = true;
-          } catch (writeError) {
-            writeAttempts++;
-            console.error(`DELETE: Failed to write to Excel file after deletion (attempt ${writeAttempts}/${maxWriteAttempts}):`, writeError.message, writeError.stack);
-            if (writeAttempts === maxWriteAttempts) {
-              throw new Error('DELETE: Failed to write to Excel file after maximum attempts');
-            }
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-        await logFileStats(LOCAL_EXCEL_FILE, 'DELETE: After Save');
+  try {
+    await withFileLock(() => savePrizeConfig(prizes));
+    console.log(`PRIZES: ${req.admin.username} saved ${prizes.length} prizes: ${prizes.map(prize => prize.name).join(', ')}`);
+    res.json({ success: true, prizes });
+  } catch (saveError) {
+    console.error('PRIZES: Failed to save prize configuration:', saveError.message, saveError.stack);
+    res.status(500).json({ success: false, error: 'Unable to save prizes. Please try again later.' });
+  }
+});
 
-        cachedWorkbook = workbook;
+// The customer entry a spin token was issued for. Tokens issued before customers had one row per
+// campaign only name the email.
+async function findSpinCustomer(payload) {
+  if (payload.id) {
+    return customerStore.findById(payload.id);
+  }
+  const [customer] = await customerStore.findByEmailOrPhone(payload.email, null);
+  return customer || null;
+}
 
-        localChangesPending = true;
-        console.log('DELETE: Local changes marked for immediate sync to Google Drive.');
+// Draw a prize for a customer who has just signed up. Each email/phone gets one spin per campaign.
+// A refused spin says why in its code: 'already-spun' (with the prize won) or 'out-of-stock'.
+app.post('/spin', async (req, res) => {
+  const spinStartTime = Date.now();
+  console.log(`SPIN: Received spin request at ${new Date(spinStartTime).toISOString()}`);
 
-        // Perform immediate sync to Google Drive
-        try {
-          console.log('DELETE: Starting immediate sync to Google Drive...');
-          await uploadToGoogleDrive();
-          console.log('DELETE: Immediate sync to Google Drive completed successfully.');
-        } catch (syncError) {
-          console.error('DELETE: Immediate sync to Google Drive failed:', syncError.message, syncError.stack);
-          console.error('DELETE: Immediate sync error details:', JSON.stringify(syncError, null, 2));
-          console.log('DELETE: Changes will be synced during the next periodic sync.');
-        }
+  const payload = verifyToken(req.body.token, 'spin');
+  if (!payload) {
+    console.log('SPIN: Invalid or missing spin token');
+    return res.status(400).json({ success: false, error: 'Your spin link is invalid. Please sign up again.' });
+  }
 
-        deletionResult = { status: 200, body: { success: true, message: 'Customer deleted successfully' } };
-      } catch (error) {
-        throw error;
+  try {
+    const spinResult = await withFileLock(async () => {
+      const customer = await findSpinCustomer(payload);
+      if (!customer) {
+        console.log('SPIN: No customer found for spin token');
+        return { status: 404, body: { success: false, error: 'Customer not found' } };
+      }
+
+      const previousSpin = (await customerStore.findByLookups(customer))
+        .find(existing => existing.prize && (!customer.campaign || existing.campaign === customer.campaign));
+      if (previousSpin) {
+        console.log(`SPIN: Customer ${payload.email} has already spun and won ${previousSpin.prize}`);
+        return { status: 409, body: { success: false, code: 'already-spun', error: 'You have already spun the wheel', prize: previousSpin.prize } };
+      }
+
+      const { prizes, inScope } = entryPrizes(customer);
+      const drawn = drawPrize(await prizeStock(prizes, inScope));
+      if (!drawn) {
+        console.log('SPIN: Every prize is out of stock');
+        return { status: 409, body: { success: false, code: 'out-of-stock', error: 'All prizes have been claimed for now. Please check back later.' } };
       }
+      const prize = drawn.name;
+      const spunAt = new Date().toISOString();
+      const voucherCode = generateVoucherCode();
+      await customerStore.update(customer.id, { prize, spunAt, voucherCode });
+      console.log(`SPIN: Customer ${payload.email} won ${prize}, voucher ${voucherCode}`);
+      return { status: 200, body: { success: true, prize, spunAt, voucherCode } };
     });
 
-    await fileLockPromise;
+    const spinEndTime = Date.now();
+    console.log(`SPIN: Spin completed at ${new Date(spinEndTime).toISOString()}, took ${(spinEndTime - spinStartTime) / 1000} seconds`);
+    res.status(spinResult.status).json(spinResult.body);
+  } catch (error) {
+    console.error('SPIN: Failed to record spin:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to spin right now. Please try again later.' });
+  }
+});
+
+// Look up the prize recorded for a spin token
+app.get('/spin', async (req, res) => {
+  const payload = verifyToken(req.query.token, 'spin');
+  if (!payload) {
+    return res.status(400).json({ success: false, error: 'Invalid prize link' });
+  }
 
-    if (deletionResult) {
-      console.log('DELETE: Sending response:', deletionResult.body);
-      const deleteEndTime = Date.now();
-      console.log(`DELETE: Deletion completed at ${new Date(deleteEndTime).toISOString()}, took ${(deleteEndTime - deleteStartTime) / 1000} seconds`);
-      res.status(deletionResult.status).json(deletionResult.body);
-    } else {
-      throw new Error('DELETE: Deletion result not set');
+  try {
+    const customer = await withFileLock(() => findSpinCustomer(payload));
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
     }
-  } catch (error) {
-    console.error('DELETE: Failed to delete customer:', error.message, error.stack);
-    if (error.message.includes('Insufficient disk space')) {
-      res.status(500).json({ success: false, error: 'Server disk space is full. Please contact support.' });
-    } else if (error.message.includes('Permission denied')) {
-      res.status(500).json({ success: false, error: 'File permission error. Please contact support.' });
-    } else if (error.message.includes('Corrupt')) {
-      console.log('DELETE: Excel file appears to be corrupted, already recreated in main flow.');
-      res.status(503).json({ success: false, error: 'File was corrupted, please try again.' });
-    } else {
-      res.status(500).json({ success: false, error: 'Unable to delete customer. Please try again later.' });
+    if (!customer.prize) {
+      return res.status(404).json({ success: false, error: 'No prize has been drawn yet' });
+    }
+
+    const body = {
+      success: true,
+      name: customer.name,
+      prize: customer.prize,
+      spunAt: customer.spunAt,
+      voucherCode: customer.voucherCode,
+      redeemedAt: customer.redeemedAt,
+      links: locationLinks(customer.location),
+    };
+    // The QR code opens the staff redemption page for this voucher
+    if (customer.voucherCode) {
+      const redeemUrl = `${req.protocol}://${req.get('host')}/redeem.html?code=${encodeURIComponent(customer.voucherCode)}`;
+      body.qrCode = await QRCode.toDataURL(redeemUrl, { width: 240, margin: 1 });
     }
+    res.json(body);
+  } catch (error) {
+    console.error('SPIN: Failed to look up prize:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to load your prize. Please try again later.' });
   }
 });
 
-// Handle file download
-app.get('/download', async (req, res) => {
+// Look up a voucher for staff before redeeming it
+app.get('/voucher', requireRole('staff'), async (req, res) => {
+  const voucherCode = parseVoucherCode(req.query.code);
+  if (!voucherCode) {
+    console.log('VOUCHER: Rejected malformed or unsigned voucher code:', req.query.code);
+    return res.status(400).json({ success: false, error: 'Invalid voucher code' });
+  }
+
   try {
-    let downloadResult;
-    fileLockPromise = fileLockPromise.then(async () => {
-      try {
-        const fileExists = await fs.access(LOCAL_EXCEL_FILE).then(() => true).catch(() => false);
-        if (!fileExists) {
-          console.log('DOWNLOAD: No customer data available yet');
-          downloadResult = { status: 404, body: 'No customer data available yet' };
-          return;
-        }
+    const voucher = await withFileLock(() => findCustomerByVoucher(voucherCode));
+    if (!voucher) {
+      return res.status(404).json({ success: false, error: 'Voucher not found' });
+    }
+    res.json({
+      success: true,
+      voucherCode,
+      name: voucher.customer.name,
+      prize: voucher.prize,
+      spunAt: voucher.customer.spunAt,
+      redeemedAt: voucher.redeemedAt,
+    });
+  } catch (error) {
+    console.error('VOUCHER: Failed to look up voucher:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to look up voucher. Please try again later.' });
+  }
+});
 
-        console.log('DOWNLOAD: Reading file contents before sending...');
-        const workbook = new ExcelJS.Workbook();
-        await workbook.xlsx.readFile(LOCAL_EXCEL_FILE);
-        const sheet = workbook.getWorksheet('Customers');
-        console.log('DOWNLOAD: File contents before download:');
-        sheet.eachRow((row, rowNumber) => {
-          const name = row.getCell(1).value || '';
-          const email = row.getCell(2).value || '';
-          const phone = row.getCell(3).value || '';
-          const dob = row.getCell(4).value || '';
-          console.log(`DOWNLOAD: Row ${rowNumber}:`, [name, email, phone, dob]);
-        });
+// Mark a voucher as redeemed. A voucher can only be redeemed once.
+app.post('/redeem', requireRole('staff'), async (req, res) => {
+  const redeemStartTime = Date.now();
+  console.log(`REDEEM: Received redeem request at ${new Date(redeemStartTime).toISOString()}:`, req.body);
 
-        console.log('DOWNLOAD: Sending Excel file to client...');
-        res.setHeader('Content-Disposition', 'attachment; filename=customers.xlsx');
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        const fileStream = require('fs').createReadStream(LOCAL_EXCEL_FILE);
-        fileStream.pipe(res);
-        console.log('DOWNLOAD: File stream initiated.');
-      } catch (error) {
-        throw error;
+  const voucherCode = parseVoucherCode(req.body.code);
+  if (!voucherCode) {
+    console.log('REDEEM: Rejected malformed or unsigned voucher code');
+    return res.status(400).json({ success: false, error: 'Invalid voucher code' });
+  }
+
+  try {
+    const redeemResult = await withFileLock(async () => {
+      const voucher = await findCustomerByVoucher(voucherCode);
+      if (!voucher) {
+        console.log(`REDEEM: Voucher ${voucherCode} not found`);
+        return { status: 404, body: { success: false, error: 'Voucher not found' } };
+      }
+
+      const { name } = voucher.customer;
+      const { prize } = voucher;
+      if (voucher.redeemedAt) {
+        console.log(`REDEEM: Voucher ${voucherCode} was already redeemed at ${voucher.redeemedAt}`);
+        return {
+          status: 409,
+          body: { success: false, error: 'Voucher has already been redeemed', name, prize, redeemedAt: voucher.redeemedAt },
+        };
       }
+
+      const redeemedAt = new Date().toISOString();
+      await customerStore.update(voucher.customer.id, { [voucher.redeemedField]: redeemedAt });
+      console.log(`REDEEM: Voucher ${voucherCode} redeemed for ${name} (${prize})`);
+      return { status: 200, body: { success: true, voucherCode, name, prize, redeemedAt } };
     });
 
-    await fileLockPromise;
+    const redeemEndTime = Date.now();
+    console.log(`REDEEM: Redemption completed at ${new Date(redeemEndTime).toISOString()}, took ${(redeemEndTime - redeemStartTime) / 1000} seconds`);
+    res.status(redeemResult.status).json(redeemResult.body);
+  } catch (error) {
+    console.error('REDEEM: Failed to redeem voucher:', error.message, error.stack);
+    res.status(500).json({ success: false, error: 'Unable to redeem voucher. Please try again later.' });
+  }
+});
+
+// Handle file download. The workbook is generated from the customer store.
+app.get('/download', requireRole('owner'), async (req, res) => {
+  const format = (req.query.format || 'xlsx').toString().toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: `Invalid format, expected ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  const { filters, error } = parseCustomerFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-    if (downloadResult) {
-      res.status(downloadResult.status).send(downloadResult.body);
+  try {
+    const includeOptedOut = ['1', 'true'].includes(req.query.includeOptedOut);
+    const customers = filterCustomers((await withFileLock(() => customerStore.list())).map(decryptCustomer), filters)
+      .filter(customer => filters.consent || includeOptedOut || customer.marketingConsent !== 'no')
+      .map(customer => ({ ...customer, unsubscribeLink: unsubscribeUrl(customer) }));
+    const { columns, error: columnError } = parseExportColumns(
+      req.query.columns,
+      Array.from(new Set([...customerFields(customers), ...EXPORT_EXTRA_COLUMNS.map(column => column.key)])),
+    );
+    if (columnError) {
+      return res.status(400).json({ success: false, error: columnError });
     }
+    const sheetPerLocation = format === 'xlsx' && req.query.sheets === 'location';
+    console.log(`DOWNLOAD: Exporting ${customers.length} customers as ${format} with ${columns.length} columns for ${req.admin.username}${sheetPerLocation ? ', one sheet per location' : ''}`);
+    const body = await renderCustomerExport(customers, columns, format, sheetPerLocation);
+    res.setHeader('Content-Disposition', `attachment; filename=customers.${format}`);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.send(body);
   } catch (error) {
-    console.error('DOWNLOAD: Error downloading local file:', error.message, error.stack);
+    console.error('DOWNLOAD: Error exporting customers:', error.message, error.stack);
     res.status(500).send('Error downloading file');
   }
 });
 
-// Initialize the server
+// Initialize the server, exiting with a message for the operator when it cannot start
 (async () => {
-  console.log('SERVER: Initializing server...');
-  await initializeFromGoogleDrive();
-  startGoogleDriveSync();
-  app.listen(PORT, () => {
-    console.log(`SERVER: Server running on port ${PORT}`);
-  });
+  try {
+    console.log('SERVER: Initializing server...');
+    console.log(`SERVER: Using the ${customerStore.name} customer store`);
+    await loadPrizeConfig();
+    await loadCampaignConfig();
+    await loadLocationConfig();
+    await loadBlockedDomains();
+    await loadPopularEmailDomains();
+    await loadCustomFormFields();
+    await customerStore.load();
+    await encryptPlainCopies();
+    startGoogleDriveSync();
+    startBirthdayScheduler();
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.once(signal, async () => {
+        console.log(`SERVER: Received ${signal}, writing pending changes before exit...`);
+        try {
+          await withFileLock(flushPendingSave);
+        } catch (error) {
+          console.error('SERVER: Failed to write pending changes:', error.message, error.stack);
+        }
+        process.exit(0);
+      });
+    });
+    app.listen(PORT, () => {
+      console.log(`SERVER: Server running on port ${PORT}`);
+    });
+  } catch (error) {
+    if (error.message.includes('CUSTOMER_DATA_KEY')) {
+      console.error(`SERVER: ${error.message}. Set CUSTOMER_DATA_KEY to the key the customer data was encrypted with and start the server again.`);
+    } else {
+      console.error('SERVER: Failed to initialize:', error.message, error.stack);
+    }
+    process.exit(1);
+  }
 })();